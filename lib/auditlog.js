@@ -0,0 +1,75 @@
+'use strict';
+
+/**
+ * Rolling log of remote commands (newest first), kept in memory and persisted by the adapter.
+ */
+
+class AuditLog {
+    /**
+     * @param {number} [maxEntries] - Number of entries kept
+     */
+    constructor(maxEntries = 500) {
+        this.maxEntries = maxEntries;
+        this.entries = [];
+    }
+
+    /**
+     * Replace the entries with stored ones (adapter start).
+     *
+     * @param {any} entries - Stored entries (invalid input is ignored)
+     */
+    load(entries) {
+        this.entries = Array.isArray(entries) ? entries.slice(0, this.maxEntries) : [];
+    }
+
+    /**
+     * Add an entry, the oldest entries are dropped beyond maxEntries.
+     *
+     * @param {object} entry - Log entry ({ time, vin, command, ... })
+     * @returns {object} The added entry
+     */
+    add(entry) {
+        this.entries.unshift(entry);
+        if (this.entries.length > this.maxEntries) {
+            this.entries.length = this.maxEntries;
+        }
+        return entry;
+    }
+
+    /**
+     * Entries matching the filter, newest first.
+     *
+     * @param {object} [filter] - Query filter
+     * @param {string} [filter.vin] - Only this vehicle
+     * @param {number|string} [filter.from] - Start of the time range (timestamp or date string)
+     * @param {number|string} [filter.to] - End of the time range (timestamp or date string)
+     * @param {number} [filter.limit] - Maximum number of entries
+     * @returns {object[]} Matching entries
+     */
+    query(filter = {}) {
+        const from = AuditLog.toTime(filter.from, 0);
+        const to = AuditLog.toTime(filter.to, Infinity);
+        const result = this.entries.filter(
+            entry => (!filter.vin || entry.vin === filter.vin) && entry.time >= from && entry.time <= to,
+        );
+        const limit = Number(filter.limit);
+        return limit > 0 ? result.slice(0, limit) : result;
+    }
+
+    /**
+     * @param {number|string|undefined} value - Timestamp or date string
+     * @param {number} fallback - Used for missing or invalid values
+     * @returns {number} Timestamp in ms
+     */
+    static toTime(value, fallback) {
+        if (value === undefined || value === null || value === '') {
+            return fallback;
+        }
+        const time = typeof value === 'number' ? value : new Date(value).getTime();
+        return isNaN(time) ? fallback : time;
+    }
+}
+
+module.exports = {
+    AuditLog,
+};
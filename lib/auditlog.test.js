@@ -0,0 +1,59 @@
+'use strict';
+
+const { expect } = require('chai');
+const { AuditLog } = require('./auditlog');
+
+describe('AuditLog', () => {
+    /**
+     * Log with entries at time 1000, 2000 and 3000 (newest first)
+     */
+    function filledLog() {
+        const log = new AuditLog(10);
+        log.add({ time: 1000, vin: 'VIN1', command: 'LOCKDOOR' });
+        log.add({ time: 2000, vin: 'VIN2', command: 'OPENDOOR' });
+        log.add({ time: 3000, vin: 'VIN1', command: 'FINDCAR' });
+        return log;
+    }
+
+    it('should keep the newest entries first and drop the oldest', () => {
+        const log = new AuditLog(2);
+        log.add({ time: 1 });
+        log.add({ time: 2 });
+        log.add({ time: 3 });
+        expect(log.entries.map(entry => entry.time)).to.deep.equal([3, 2]);
+    });
+
+    it('should load stored entries and ignore invalid data', () => {
+        const log = new AuditLog(2);
+        log.load([{ time: 3 }, { time: 2 }, { time: 1 }]);
+        expect(log.entries).to.have.length(2);
+        log.load('not a list');
+        expect(log.entries).to.deep.equal([]);
+    });
+
+    it('should filter by vin', () => {
+        expect(
+            filledLog()
+                .query({ vin: 'VIN1' })
+                .map(entry => entry.command),
+        ).to.deep.equal(['FINDCAR', 'LOCKDOOR']);
+    });
+
+    it('should filter by time range (timestamps and date strings)', () => {
+        const log = filledLog();
+        expect(log.query({ from: 1500, to: 2500 }).map(entry => entry.time)).to.deep.equal([2000]);
+        expect(log.query({ from: new Date(2000).toISOString() }).map(entry => entry.time)).to.deep.equal([3000, 2000]);
+    });
+
+    it('should ignore invalid time filters', () => {
+        expect(filledLog().query({ from: 'yesterday', to: '' })).to.have.length(3);
+    });
+
+    it('should limit the result', () => {
+        expect(
+            filledLog()
+                .query({ limit: 1 })
+                .map(entry => entry.time),
+        ).to.deep.equal([3000]);
+    });
+});
@@ -6,6 +6,24 @@ const bangcle = require('./bangcle');
 const BASE_URL = 'https://dilinkappoversea-eu.byd.auto';
 const USER_AGENT = 'okhttp/4.12.0';
 
+// Overseas cloud regions - each region has its own API host (EMQ broker is looked up per region)
+// Only eu is confirmed, the other hosts follow the same naming pattern and can only be selected manually
+const REGIONS = {
+    eu: { name: 'Europe', baseUrl: 'https://dilinkappoversea-eu.byd.auto', verified: true },
+    au: { name: 'Australia / New Zealand', baseUrl: 'https://dilinkappoversea-au.byd.auto', verified: false },
+    sg: { name: 'Asia Pacific', baseUrl: 'https://dilinkappoversea-sg.byd.auto', verified: false },
+    la: { name: 'Latin America', baseUrl: 'https://dilinkappoversea-la.byd.auto', verified: false },
+    me: { name: 'Middle East / Africa', baseUrl: 'https://dilinkappoversea-me.byd.auto', verified: false },
+};
+
+// Country code -> region, used when region is set to 'auto' (verified regions only). Other countries fall back to eu.
+const COUNTRY_REGIONS = {
+    au: ['AU', 'NZ'],
+    sg: ['SG', 'MY', 'TH', 'ID', 'PH', 'VN', 'KH', 'JP', 'KR', 'HK', 'MO', 'TW', 'IN', 'PK', 'LK', 'NP', 'BD'],
+    la: ['BR', 'MX', 'CL', 'CO', 'PE', 'AR', 'UY', 'EC', 'CR', 'PA', 'DO', 'GT', 'SV', 'HN', 'BO', 'PY'],
+    me: ['AE', 'SA', 'IL', 'QA', 'KW', 'BH', 'OM', 'JO', 'EG', 'MA', 'ZA'],
+};
+
 // Session expired error codes - trigger re-authentication
 const SESSION_EXPIRED_CODES = new Set(['1002', '1005', '1010']);
 
@@ -317,7 +335,12 @@ function buildVehicleListRequest(session, countryCode, language, deviceConfig) {
 //   "remainChargingTime": "0", "timezoneOffset": "+02:00"
 // }
 /**
- *
+ * @param {object} session - Session tokens
+ * @param {string} countryCode - Account country code
+ * @param {string} language - Account language
+ * @param {object} deviceConfig - Device fingerprint
+ * @param {string} vin - Vehicle identification number
+ * @param {string|null} [requestSerial] - Serial from the trigger response (poll only)
  */
 function buildVehicleRealtimeRequest(session, countryCode, language, deviceConfig, vin, requestSerial = null) {
     const inner = {
@@ -346,7 +369,12 @@ function buildVehicleRealtimeRequest(session, countryCode, language, deviceConfi
 //   "time": 1749732195000, "gpsState": "1"
 // }
 /**
- *
+ * @param {object} session - Session tokens
+ * @param {string} countryCode - Account country code
+ * @param {string} language - Account language
+ * @param {object} deviceConfig - Device fingerprint
+ * @param {string} vin - Vehicle identification number
+ * @param {string|null} [requestSerial] - Serial from the trigger response (poll only)
  */
 function buildGpsInfoRequest(session, countryCode, language, deviceConfig, vin, requestSerial = null) {
     const inner = {
@@ -365,13 +393,22 @@ function buildGpsInfoRequest(session, countryCode, language, deviceConfig, vin,
 }
 
 // Build remote control request
-// CommandTypes: LOCKDOOR, OPENDOOR, FLASHLIGHTNOWHISTLE, FINDCAR, CLOSEWINDOW, OPENAIR, CLOSEAIR, VENTILATIONHEATING
+// CommandTypes: LOCKDOOR, OPENDOOR, FLASHLIGHTNOWHISTLE, FINDCAR, CLOSEWINDOW, OPENAIR, CLOSEAIR, VENTILATIONHEATING,
+// BATTERYHEAT
 // Sample Response (decrypted respondData):
 // Trigger: { "requestSerial": "20250612000000000012345678" }
 // Poll result: { "requestSerial": "...", "controlState": "1", "vin": "LGXXX..." }
 // controlState: 0=pending, 1=success, 2=failed
 /**
- *
+ * @param {object} session - Session tokens
+ * @param {string} countryCode - Account country code
+ * @param {string} language - Account language
+ * @param {object} deviceConfig - Device fingerprint
+ * @param {string} vin - Vehicle identification number
+ * @param {string} commandType - Command type (LOCKDOOR, OPENDOOR, ...)
+ * @param {object|string|null} [controlParamsMap] - Command parameters
+ * @param {string|null} [commandPwd] - Plain control PIN
+ * @param {string|null} [requestSerial] - Serial from the trigger response (poll only)
  */
 function buildRemoteControlRequest(
     session,
@@ -383,6 +420,27 @@ function buildRemoteControlRequest(
     controlParamsMap = null,
     commandPwd = null,
     requestSerial = null,
+) {
+    const inner = buildRemoteControlFields(deviceConfig, vin, commandType, controlParamsMap, commandPwd, requestSerial);
+    return buildTokenEnvelope(session, countryCode, language, deviceConfig, inner);
+}
+
+// Inner (unencrypted) fields of a remote control request, also used for dry runs
+/**
+ * @param {object} deviceConfig - Device fingerprint
+ * @param {string} vin - Vehicle identification number
+ * @param {string} commandType - Command type (LOCKDOOR, OPENDOOR, ...)
+ * @param {object|string|null} [controlParamsMap] - Command parameters
+ * @param {string|null} [commandPwd] - Plain control PIN
+ * @param {string|null} [requestSerial] - Serial from the trigger response (poll only)
+ */
+function buildRemoteControlFields(
+    deviceConfig,
+    vin,
+    commandType,
+    controlParamsMap = null,
+    commandPwd = null,
+    requestSerial = null,
 ) {
     // Base fields (from CommonRequestUtil.i())
     const inner = {
@@ -417,7 +475,7 @@ function buildRemoteControlRequest(
     if (requestSerial) {
         inner.requestSerial = requestSerial;
     }
-    return buildTokenEnvelope(session, countryCode, language, deviceConfig, inner);
+    return inner;
 }
 
 // Build energy consumption request
@@ -551,6 +609,25 @@ function isRemoteControlReady(data) {
     return false;
 }
 
+// Resolve region key from setting ('auto' or region key) and account country code (auto only picks verified hosts)
+function resolveRegion(region, countryCode) {
+    if (region && region !== 'auto' && REGIONS[region]) {
+        return region;
+    }
+    const country = String(countryCode || '').toUpperCase();
+    for (const [key, countries] of Object.entries(COUNTRY_REGIONS)) {
+        if (REGIONS[key].verified && countries.includes(country)) {
+            return key;
+        }
+    }
+    return 'eu';
+}
+
+// Get API base URL for a region key
+function getRegionBaseUrl(region) {
+    return (REGIONS[region] || REGIONS.eu).baseUrl;
+}
+
 // Helper to check if error code indicates session expired
 function isSessionExpired(code) {
     return SESSION_EXPIRED_CODES.has(String(code));
@@ -680,10 +757,24 @@ function buildBatteryHeatParams(enable) {
     };
 }
 
+// Seat climate options checked for remoteMode (1 = any heat/ventilation level on, 0 = all off)
+const SEAT_CLIMATE_OPTIONS = [
+    'mainHeat',
+    'mainVentilation',
+    'copilotHeat',
+    'copilotVentilation',
+    'lrSeatHeat',
+    'lrSeatVentilation',
+    'rrSeatHeat',
+    'rrSeatVentilation',
+    'steeringWheelHeat',
+];
+
 // Build detailed seat climate params
 // Used with VENTILATIONHEATING commandType
 // Levels: 0=off, 1=low, 2=medium, 3=high
 function buildSeatClimateParams(options = {}) {
+    const anyOn = SEAT_CLIMATE_OPTIONS.some(key => Number(options[key]) > 0);
     return {
         chairType: '5',
         copilotHeat: options.copilotHeat ?? 0,
@@ -694,7 +785,7 @@ function buildSeatClimateParams(options = {}) {
         lrThirdVentilationState: 0,
         mainHeat: options.mainHeat ?? 0,
         mainVentilation: options.mainVentilation ?? 0,
-        remoteMode: options.mainHeat || options.copilotHeat || options.steeringWheelHeat ? 1 : 0,
+        remoteMode: anyOn ? 1 : 0,
         rrSeatHeatState: options.rrSeatHeat ?? 0,
         rrSeatVentilationState: options.rrSeatVentilation ?? 0,
         rrThirdHeatState: 0,
@@ -714,15 +805,42 @@ function buildClimateParams(options = {}) {
         airConditioningMode: options.airConditioningMode ?? 1,
         airSet: options.airSet ?? null,
         copilotSettingTemp: options.copilotTempC ? tempToScale(options.copilotTempC) : options.copilotTemp ?? 7,
-        cycleMode: options.cycleMode ?? 2,
+        cycleMode: options.cycleMode ?? 2, // 1=recirculation, 2=fresh air
         mainSettingTemp: options.tempC ? tempToScale(options.tempC) : options.temp ?? 7,
         remoteMode: options.remoteMode ?? 4,
         timeSpan: options.timeSpan ?? 1, // 1=10min, 2=15min, 3=20min, 4=25min, 5=30min
-        windLevel: options.windLevel ?? null,
+        windLevel: options.windLevel ?? null, // 1-7, null=auto
         windPosition: options.windPosition ?? null,
     };
 }
 
+// Capability -> vehicleFunLearnInfo field (0 = not supported)
+const CAPABILITY_FIELDS = {
+    smartCharging: 'bookingCharge',
+    batteryHeat: 'batteryHeating',
+    steeringWheelHeat: 'steeringWheelHeating',
+    windows: 'openWindowLearnInfo',
+    trunk: 'trunkLearnInfo',
+    gps: 'gpsLearnInfo',
+};
+
+// Build capability map from a vehicle list entry
+// Missing vehicleFunLearnInfo or fields count as supported (unknown), features lists rangeDetailList groups
+// Sample: { known: true, smartCharging: true, batteryHeat: true, ..., features: [{ code: '2', name: '...' }] }
+function parseCapabilities(vehicle) {
+    const info = vehicle?.vehicleFunLearnInfo;
+    const known = !!info && typeof info === 'object';
+    const capabilities = { known };
+    for (const [capability, field] of Object.entries(CAPABILITY_FIELDS)) {
+        capabilities[capability] =
+            !known || info[field] === undefined || info[field] === null || Number(info[field]) > 0;
+    }
+    capabilities.features = Array.isArray(vehicle?.rangeDetailList)
+        ? vehicle.rangeDetailList.map(range => ({ code: range.code, name: range.name }))
+        : [];
+    return capabilities;
+}
+
 // Build EMQ broker request
 // Endpoint: /app/emqAuth/getEmqBrokerIp
 // Sample Response (decrypted respondData):
@@ -762,6 +880,10 @@ function decryptMqttPayload(encryptedHex, encryToken) {
 module.exports = {
     BASE_URL,
     USER_AGENT,
+    REGIONS,
+    COUNTRY_REGIONS,
+    resolveRegion,
+    getRegionBaseUrl,
     SESSION_EXPIRED_CODES,
     DEFAULT_DEVICE_CONFIG,
     pwdLoginKey,
@@ -774,6 +896,7 @@ module.exports = {
     buildVehicleRealtimeRequest,
     buildGpsInfoRequest,
     buildRemoteControlRequest,
+    buildRemoteControlFields,
     buildEnergyConsumptionRequest,
     buildHvacStatusRequest,
     buildChargingStatusRequest,
@@ -784,6 +907,8 @@ module.exports = {
     buildBatteryHeatParams,
     buildSeatClimateParams,
     buildClimateParams,
+    CAPABILITY_FIELDS,
+    parseCapabilities,
     buildEmqBrokerRequest,
     buildMqttClientId,
     buildMqttPassword,
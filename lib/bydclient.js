@@ -0,0 +1,431 @@
+'use strict';
+
+/**
+ * Transport client for the BYD overseas cloud API.
+ * Owns the HTTP client, session tokens and device fingerprint, and exposes
+ * one async method per endpoint. Can be used without the ioBroker adapter.
+ */
+
+const axios = require('axios').default;
+const { wrapper } = require('axios-cookiejar-support');
+const { CookieJar } = require('tough-cookie');
+const bydapi = require('./bydapi');
+const { BydApiError, BydAuthError, BydTransportError, ERROR_CATEGORIES, createApiError } = require('./errors');
+
+const ENDPOINTS = Object.freeze({
+    login: '/app/account/login',
+    vehicleList: '/app/account/getAllListByUserId',
+    realtimeRequest: '/vehicleInfo/vehicle/vehicleRealTimeRequest',
+    realtimeResult: '/vehicleInfo/vehicle/vehicleRealTimeResult',
+    gpsRequest: '/control/getGpsInfo',
+    gpsResult: '/control/getGpsInfoResult',
+    hvacStatus: '/control/getStatusNow',
+    chargingStatus: '/control/smartCharge/homePage',
+    smartChargingToggle: '/control/smartCharge/changeChargeStatue',
+    smartChargingSchedule: '/control/smartCharge/saveOrUpdate',
+    renameVehicle: '/control/vehicle/modifyAutoAlias',
+    verifyControlPassword: '/vehicle/vehicleswitch/verifyControlPassword',
+    remoteControl: '/control/remoteControl',
+    remoteControlResult: '/control/remoteControlResult',
+    emqBroker: '/app/emqAuth/getEmqBrokerIp',
+});
+
+class BydClient {
+    /**
+     * @param {object} [options] - Client options
+     * @param {string} [options.region] - Cloud region (eu, au, sg, la, me or auto), ignored if baseUrl is set
+     * @param {string} [options.baseUrl] - API base URL
+     * @param {string} [options.countryCode] - Account country code (e.g. DE)
+     * @param {string} [options.language] - Account language (e.g. en)
+     * @param {object} [options.deviceConfig] - Device fingerprint incl. app fields
+     * @param {object|null} [options.session] - Existing session { userId, signToken, encryToken }
+     * @param {number} [options.timeout] - HTTP timeout in ms
+     */
+    constructor(options = {}) {
+        this.baseUrl =
+            options.baseUrl || bydapi.getRegionBaseUrl(bydapi.resolveRegion(options.region, options.countryCode));
+        this.countryCode = options.countryCode || 'DE';
+        this.language = options.language || 'en';
+        this.deviceConfig = options.deviceConfig || bydapi.DEFAULT_DEVICE_CONFIG;
+        this.session = options.session || null;
+
+        this.requestClient = wrapper(
+            axios.create({
+                withCredentials: true,
+                timeout: options.timeout || 3 * 60 * 1000,
+                jar: new CookieJar(),
+            }),
+        );
+    }
+
+    /**
+     * Send an outer payload and return the decoded (but not decrypted) envelope.
+     * Network, HTTP and decoding failures are thrown as BydTransportError.
+     *
+     * @param {string} path - API path, e.g. ENDPOINTS.login
+     * @param {object} outer - Outer request payload from a bydapi builder
+     * @returns {Promise<{code: string, message?: string, respondData?: string}>}
+     */
+    async post(path, outer) {
+        try {
+            const res = await this.requestClient({
+                method: 'post',
+                url: `${this.baseUrl}${path}`,
+                headers: {
+                    'User-Agent': bydapi.USER_AGENT,
+                    'Content-Type': 'application/json; charset=UTF-8',
+                },
+                data: { request: bydapi.encodeEnvelope(outer) },
+            });
+            return bydapi.decodeEnvelope(res.data);
+        } catch (error) {
+            throw new BydTransportError(path, error);
+        }
+    }
+
+    /**
+     * Send a request and return the decrypted respondData.
+     * Throws a BydApiError subclass (see lib/errors.js) if the response code is not '0'.
+     *
+     * @param {string} path - API path
+     * @param {{outer: object, contentKey: string}} req - Built request
+     * @returns {Promise<any>} Decrypted data, or null if the response has none
+     */
+    async call(path, req) {
+        const decoded = await this.post(path, req.outer);
+        if (decoded.code !== '0') {
+            throw createApiError(path, decoded.code, decoded.message);
+        }
+        if (!decoded.respondData) {
+            return null;
+        }
+        return bydapi.decryptResponseData(decoded.respondData, req.contentKey);
+    }
+
+    /**
+     * @returns {{userId: string, signToken: string, encryToken: string}} Current session
+     */
+    requireSession() {
+        if (!this.session) {
+            throw new Error('No session - login first');
+        }
+        return this.session;
+    }
+
+    /**
+     * Password login. Sets the session on success.
+     * Unknown response codes (credentials rejected) are thrown as BydAuthError,
+     * rate limit, offline etc. keep their error class.
+     *
+     * @param {string} username - BYD account email or phone
+     * @param {string} password - BYD account password
+     * @returns {Promise<object>} Decrypted login data (token, user, securityInfo)
+     */
+    async login(username, password) {
+        const { outer } = bydapi.buildLoginRequest(
+            username,
+            password,
+            this.countryCode,
+            this.language,
+            this.deviceConfig,
+        );
+        let loginData;
+        try {
+            loginData = (await this.call(ENDPOINTS.login, { outer, contentKey: bydapi.pwdLoginKey(password) })) || {};
+        } catch (error) {
+            if (error instanceof BydApiError && error.category === ERROR_CATEGORIES.API) {
+                throw new BydAuthError(ENDPOINTS.login, error.code, error.apiMessage);
+            }
+            throw error;
+        }
+        const token = loginData.token || {};
+
+        this.session = {
+            userId: token.userId,
+            signToken: token.signToken,
+            encryToken: token.encryToken,
+        };
+        return loginData;
+    }
+
+    /**
+     * @returns {Promise<Array<object>>} Vehicles of the account
+     */
+    async getVehicleList() {
+        const req = bydapi.buildVehicleListRequest(
+            this.requireSession(),
+            this.countryCode,
+            this.language,
+            this.deviceConfig,
+        );
+        return (await this.call(ENDPOINTS.vehicleList, req)) || [];
+    }
+
+    /**
+     * Trigger a realtime refresh. The response may already contain data.
+     *
+     * @param {string} vin - Vehicle identification number
+     */
+    async requestRealtime(vin) {
+        const req = bydapi.buildVehicleRealtimeRequest(
+            this.requireSession(),
+            this.countryCode,
+            this.language,
+            this.deviceConfig,
+            vin,
+        );
+        return this.call(ENDPOINTS.realtimeRequest, req);
+    }
+
+    /**
+     * @param {string} vin - Vehicle identification number
+     * @param {string|null} requestSerial - Serial from requestRealtime
+     */
+    async getRealtimeResult(vin, requestSerial) {
+        const req = bydapi.buildVehicleRealtimeRequest(
+            this.requireSession(),
+            this.countryCode,
+            this.language,
+            this.deviceConfig,
+            vin,
+            requestSerial,
+        );
+        return this.call(ENDPOINTS.realtimeResult, req);
+    }
+
+    /**
+     * Trigger a GPS refresh. The response may already contain data.
+     *
+     * @param {string} vin - Vehicle identification number
+     */
+    async requestGpsInfo(vin) {
+        const req = bydapi.buildGpsInfoRequest(
+            this.requireSession(),
+            this.countryCode,
+            this.language,
+            this.deviceConfig,
+            vin,
+        );
+        return this.call(ENDPOINTS.gpsRequest, req);
+    }
+
+    /**
+     * @param {string} vin - Vehicle identification number
+     * @param {string|null} requestSerial - Serial from requestGpsInfo
+     */
+    async getGpsInfoResult(vin, requestSerial) {
+        const req = bydapi.buildGpsInfoRequest(
+            this.requireSession(),
+            this.countryCode,
+            this.language,
+            this.deviceConfig,
+            vin,
+            requestSerial,
+        );
+        return this.call(ENDPOINTS.gpsResult, req);
+    }
+
+    /**
+     * @param {string} vin - Vehicle identification number
+     */
+    async getHvacStatus(vin) {
+        const req = bydapi.buildHvacStatusRequest(
+            this.requireSession(),
+            this.countryCode,
+            this.language,
+            this.deviceConfig,
+            vin,
+        );
+        return this.call(ENDPOINTS.hvacStatus, req);
+    }
+
+    /**
+     * @param {string} vin - Vehicle identification number
+     */
+    async getChargingStatus(vin) {
+        const req = bydapi.buildChargingStatusRequest(
+            this.requireSession(),
+            this.countryCode,
+            this.language,
+            this.deviceConfig,
+            vin,
+        );
+        return this.call(ENDPOINTS.chargingStatus, req);
+    }
+
+    /**
+     * @param {string} vin - Vehicle identification number
+     * @param {boolean} enable - True to enable, false to disable
+     */
+    async toggleSmartCharging(vin, enable) {
+        const req = bydapi.buildSmartChargingToggleRequest(
+            this.requireSession(),
+            this.countryCode,
+            this.language,
+            this.deviceConfig,
+            vin,
+            enable,
+        );
+        return this.call(ENDPOINTS.smartChargingToggle, req);
+    }
+
+    /**
+     * @param {string} vin - Vehicle identification number
+     * @param {number} targetSoc - Target state of charge (0-100)
+     * @param {number} startHour - Start hour (0-23)
+     * @param {number} startMinute - Start minute (0-59)
+     * @param {number} endHour - End hour (0-23)
+     * @param {number} endMinute - End minute (0-59)
+     */
+    async saveChargingSchedule(vin, targetSoc, startHour, startMinute, endHour, endMinute) {
+        const req = bydapi.buildSmartChargingScheduleRequest(
+            this.requireSession(),
+            this.countryCode,
+            this.language,
+            this.deviceConfig,
+            vin,
+            targetSoc,
+            startHour,
+            startMinute,
+            endHour,
+            endMinute,
+        );
+        return this.call(ENDPOINTS.smartChargingSchedule, req);
+    }
+
+    /**
+     * @param {string} vin - Vehicle identification number
+     * @param {string} newName - New vehicle alias
+     */
+    async renameVehicle(vin, newName) {
+        const req = bydapi.buildRenameVehicleRequest(
+            this.requireSession(),
+            this.countryCode,
+            this.language,
+            this.deviceConfig,
+            vin,
+            newName,
+        );
+        return this.call(ENDPOINTS.renameVehicle, req);
+    }
+
+    /**
+     * Verify the remote control PIN.
+     * Some accounts answer code=0 with a respondData that cannot be decrypted,
+     * in that case an empty object is returned.
+     *
+     * @param {string} vin - Vehicle identification number
+     * @param {string} controlPin - Remote control PIN as set in the BYD app
+     * @returns {Promise<object>} Decrypted data, e.g. { ok: true }
+     */
+    async verifyControlPassword(vin, controlPin) {
+        const req = bydapi.buildVerifyControlPasswordRequest(
+            this.requireSession(),
+            this.countryCode,
+            this.language,
+            this.deviceConfig,
+            vin,
+            controlPin,
+        );
+        const decoded = await this.post(ENDPOINTS.verifyControlPassword, req.outer);
+        if (decoded.code !== '0') {
+            throw createApiError(ENDPOINTS.verifyControlPassword, decoded.code, decoded.message);
+        }
+        if (!decoded.respondData) {
+            return {};
+        }
+        try {
+            return bydapi.decryptResponseData(decoded.respondData, req.contentKey);
+        } catch {
+            return {};
+        }
+    }
+
+    /**
+     * Trigger a remote control command.
+     *
+     * @param {string} vin - Vehicle identification number
+     * @param {string} commandType - Command type (LOCKDOOR, OPENDOOR, ...)
+     * @param {object|string|null} [controlParamsMap] - Optional command parameters
+     * @param {string|null} [commandPwd] - Control PIN (plain, hashed by the builder)
+     * @returns {Promise<object|null>} Trigger data, usually { requestSerial }
+     */
+    async remoteControl(vin, commandType, controlParamsMap = null, commandPwd = null) {
+        const req = bydapi.buildRemoteControlRequest(
+            this.requireSession(),
+            this.countryCode,
+            this.language,
+            this.deviceConfig,
+            vin,
+            commandType,
+            controlParamsMap,
+            commandPwd,
+        );
+        return this.call(ENDPOINTS.remoteControl, req);
+    }
+
+    /**
+     * Build a remote control request without sending it (dry run).
+     * The hashed PIN is redacted.
+     *
+     * @param {string} vin - Vehicle identification number
+     * @param {string} commandType - Command type (LOCKDOOR, OPENDOOR, ...)
+     * @param {object|string|null} [controlParamsMap] - Optional command parameters
+     * @param {string|null} [commandPwd] - Control PIN
+     * @returns {{endpoint: string, request: object}} Endpoint and unencrypted request fields
+     */
+    previewRemoteControl(vin, commandType, controlParamsMap = null, commandPwd = null) {
+        const request = bydapi.buildRemoteControlFields(
+            this.deviceConfig,
+            vin,
+            commandType,
+            controlParamsMap,
+            commandPwd,
+        );
+        if (request.commandPwd) {
+            request.commandPwd = '***';
+        }
+        return { endpoint: ENDPOINTS.remoteControl, request };
+    }
+
+    /**
+     * @param {string} vin - Vehicle identification number
+     * @param {string} commandType - Command type of the triggered command
+     * @param {string} requestSerial - Serial from remoteControl
+     */
+    async getRemoteControlResult(vin, commandType, requestSerial) {
+        const req = bydapi.buildRemoteControlRequest(
+            this.requireSession(),
+            this.countryCode,
+            this.language,
+            this.deviceConfig,
+            vin,
+            commandType,
+            null,
+            null,
+            requestSerial,
+        );
+        return this.call(ENDPOINTS.remoteControlResult, req);
+    }
+
+    /**
+     * @returns {Promise<string|null>} MQTT broker host:port
+     */
+    async getEmqBroker() {
+        const req = bydapi.buildEmqBrokerRequest(
+            this.requireSession(),
+            this.countryCode,
+            this.language,
+            this.deviceConfig,
+        );
+        const data = (await this.call(ENDPOINTS.emqBroker, req)) || {};
+        // Response contains emqBorker (typo in API) or emqBroker
+        return data.emqBorker || data.emqBroker || null;
+    }
+}
+
+module.exports = {
+    BydClient,
+    BydApiError,
+    ENDPOINTS,
+};
@@ -0,0 +1,74 @@
+'use strict';
+
+const { expect } = require('chai');
+const { BydClient } = require('./bydclient');
+const { BydApiError, BydAuthError, BydRateLimitError, BydOfflineError, createApiError } = require('./errors');
+
+describe('BydClient => call', () => {
+    /**
+     * @param {object} envelope - Decoded envelope returned by post()
+     */
+    function clientRespondingWith(envelope) {
+        const client = new BydClient();
+        client.post = async () => envelope;
+        return client;
+    }
+
+    it('should throw BydApiError for response codes other than 0', async () => {
+        const error = await clientRespondingWith({ code: '1003', message: 'wrong password' })
+            .call('/app/account/login', { outer: {}, contentKey: '' })
+            .should.be.rejectedWith(BydApiError);
+        expect(error.code).to.equal('1003');
+        expect(error.endpoint).to.equal('/app/account/login');
+        expect(error.apiMessage).to.equal('wrong password');
+    });
+
+    it('should return null for responses without data', async () => {
+        const result = await clientRespondingWith({ code: '0' }).call('/test', { outer: {}, contentKey: '' });
+        expect(result).to.equal(null);
+    });
+});
+
+describe('BydClient => login', () => {
+    /**
+     * @param {string} code - Response code thrown by the login request
+     */
+    function clientFailingWith(code) {
+        const client = new BydClient();
+        client.call = async endpoint => {
+            throw createApiError(endpoint, code);
+        };
+        return client;
+    }
+
+    it('should throw credential rejections as BydAuthError', async () => {
+        await expect(clientFailingWith('1003').login('user', 'password')).to.be.rejectedWith(BydAuthError);
+    });
+
+    it('should keep rate limit errors', async () => {
+        await expect(clientFailingWith('6024').login('user', 'password')).to.be.rejectedWith(BydRateLimitError);
+    });
+
+    it('should keep offline/server errors', async () => {
+        await expect(clientFailingWith('1009').login('user', 'password')).to.be.rejectedWith(BydOfflineError);
+    });
+
+    it('should set the session from the login token', async () => {
+        const client = new BydClient();
+        client.call = async () => ({ token: { userId: '1', signToken: 'sign', encryToken: 'encry' } });
+        await client.login('user', 'password');
+        expect(client.session).to.deep.equal({ userId: '1', signToken: 'sign', encryToken: 'encry' });
+    });
+});
+
+describe('BydClient => previewRemoteControl', () => {
+    it('should sort controlParamsMap and redact the PIN', () => {
+        const client = new BydClient();
+        const preview = client.previewRemoteControl('VIN1', 'OPENAIR', { b: 1, a: 2 }, '1234');
+        expect(preview.endpoint).to.equal('/control/remoteControl');
+        expect(preview.request.commandType).to.equal('OPENAIR');
+        expect(preview.request.controlParamsMap).to.equal('{"a":2,"b":1}');
+        expect(preview.request.commandPwd).to.equal('***');
+        expect(preview.request.vin).to.equal('VIN1');
+    });
+});
@@ -0,0 +1,130 @@
+'use strict';
+
+/**
+ * Per-key FIFO queue that runs one task at a time per key (one queue per VIN).
+ * Queued tasks can be cancelled, the running task always completes.
+ */
+
+class CommandQueue {
+    /**
+     * @param {(key: string, status: {length: number, current: string|null}) => void} [onChange] - Called when a queue changes
+     */
+    constructor(onChange) {
+        // key -> { running: entry|null, pending: entry[] }
+        this.queues = new Map();
+        this.onChange = onChange || (() => {});
+    }
+
+    /**
+     * Add a task to the queue of a key.
+     *
+     * Result status:
+     * - done: task finished (result is set)
+     * - cancelled: removed from the queue before it started (reason is set)
+     *
+     * Errors thrown by the task are passed to the caller.
+     *
+     * @param {string} key - Queue key (e.g. VIN)
+     * @param {string} label - Task label shown as current command
+     * @param {() => Promise<any>} task - Task to run
+     * @returns {Promise<{status: string, result?: any, reason?: string}>}
+     */
+    enqueue(key, label, task) {
+        const queue = this.getQueue(key);
+        return new Promise((resolve, reject) => {
+            queue.pending.push({ label, task, resolve, reject });
+            this.emit(key);
+            this.drain(key);
+        });
+    }
+
+    /**
+     * Run queued tasks of a key one after another.
+     *
+     * @param {string} key - Queue key
+     */
+    async drain(key) {
+        const queue = this.getQueue(key);
+        if (queue.running) {
+            return;
+        }
+        while (queue.pending.length > 0) {
+            const entry = queue.pending.shift();
+            queue.running = entry;
+            this.emit(key);
+            try {
+                entry.resolve({ status: 'done', result: await entry.task() });
+            } catch (error) {
+                entry.reject(error);
+            }
+            queue.running = null;
+        }
+        this.emit(key);
+    }
+
+    /**
+     * Cancel all queued (not yet running) tasks of a key.
+     *
+     * @param {string} key - Queue key
+     * @param {string} [reason] - Cancel reason reported in the results
+     * @returns {number} Number of cancelled tasks
+     */
+    cancel(key, reason = 'cancelled') {
+        const queue = this.queues.get(key);
+        if (!queue || queue.pending.length === 0) {
+            return 0;
+        }
+        const cancelled = queue.pending.splice(0);
+        for (const entry of cancelled) {
+            entry.resolve({ status: 'cancelled', reason });
+        }
+        this.emit(key);
+        return cancelled.length;
+    }
+
+    /**
+     * Cancel queued tasks of all keys (adapter unload).
+     *
+     * @param {string} [reason] - Cancel reason reported in the results
+     */
+    cancelAll(reason = 'unload') {
+        for (const key of this.queues.keys()) {
+            this.cancel(key, reason);
+        }
+    }
+
+    /**
+     * @param {string} key - Queue key
+     * @returns {{length: number, current: string|null}} Number of waiting tasks and label of the running task
+     */
+    getStatus(key) {
+        const queue = this.queues.get(key);
+        return {
+            length: queue ? queue.pending.length : 0,
+            current: queue?.running ? queue.running.label : null,
+        };
+    }
+
+    /**
+     * @param {string} key - Queue key
+     */
+    getQueue(key) {
+        let queue = this.queues.get(key);
+        if (!queue) {
+            queue = { running: null, pending: [] };
+            this.queues.set(key, queue);
+        }
+        return queue;
+    }
+
+    /**
+     * @param {string} key - Queue key
+     */
+    emit(key) {
+        this.onChange(key, this.getStatus(key));
+    }
+}
+
+module.exports = {
+    CommandQueue,
+};
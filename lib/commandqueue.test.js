@@ -0,0 +1,107 @@
+'use strict';
+
+const { expect } = require('chai');
+const { CommandQueue } = require('./commandqueue');
+
+/**
+ * Task that resolves when release() is called.
+ */
+function deferredTask() {
+    let release;
+    const done = new Promise(resolve => {
+        release = resolve;
+    });
+    return { task: () => done, release: value => release(value) };
+}
+
+describe('CommandQueue', () => {
+    it('should run tasks of one key one after another', async () => {
+        const queue = new CommandQueue();
+        const order = [];
+        const first = deferredTask();
+        const firstResult = queue.enqueue('VIN1', 'LOCKDOOR', async () => {
+            order.push('first start');
+            const value = await first.task();
+            order.push('first end');
+            return value;
+        });
+        const secondResult = queue.enqueue('VIN1', 'FINDCAR', async () => {
+            order.push('second');
+            return 2;
+        });
+        expect(queue.getStatus('VIN1')).to.deep.equal({ length: 1, current: 'LOCKDOOR' });
+        first.release(1);
+        expect(await firstResult).to.deep.equal({ status: 'done', result: 1 });
+        expect(await secondResult).to.deep.equal({ status: 'done', result: 2 });
+        expect(order).to.deep.equal(['first start', 'first end', 'second']);
+        expect(queue.getStatus('VIN1')).to.deep.equal({ length: 0, current: null });
+    });
+
+    it('should run different keys independently', async () => {
+        const queue = new CommandQueue();
+        const blocked = deferredTask();
+        queue.enqueue('VIN1', 'LOCKDOOR', blocked.task);
+        const other = await queue.enqueue('VIN2', 'FINDCAR', async () => 'done');
+        expect(other).to.deep.equal({ status: 'done', result: 'done' });
+        blocked.release();
+    });
+
+    it('should cancel waiting tasks but not the running one', async () => {
+        const queue = new CommandQueue();
+        const running = deferredTask();
+        let waitingStarted = false;
+        const first = queue.enqueue('VIN1', 'LOCKDOOR', running.task);
+        const second = queue.enqueue('VIN1', 'FINDCAR', async () => {
+            waitingStarted = true;
+        });
+        const third = queue.enqueue('VIN1', 'FLASHLIGHTNOWHISTLE', async () => {
+            waitingStarted = true;
+        });
+
+        expect(queue.cancel('VIN1', 'cancelled by user')).to.equal(2);
+        expect(await second).to.deep.equal({ status: 'cancelled', reason: 'cancelled by user' });
+        expect(await third).to.deep.equal({ status: 'cancelled', reason: 'cancelled by user' });
+
+        running.release('locked');
+        expect(await first).to.deep.equal({ status: 'done', result: 'locked' });
+        expect(waitingStarted).to.equal(false);
+    });
+
+    it('should return 0 when nothing is waiting', () => {
+        expect(new CommandQueue().cancel('VIN1')).to.equal(0);
+    });
+
+    it('should cancel all keys on unload', async () => {
+        const queue = new CommandQueue();
+        const running1 = deferredTask();
+        const running2 = deferredTask();
+        queue.enqueue('VIN1', 'LOCKDOOR', running1.task);
+        queue.enqueue('VIN2', 'LOCKDOOR', running2.task);
+        const waiting1 = queue.enqueue('VIN1', 'FINDCAR', async () => {});
+        const waiting2 = queue.enqueue('VIN2', 'FINDCAR', async () => {});
+        queue.cancelAll();
+        expect(await waiting1).to.deep.equal({ status: 'cancelled', reason: 'unload' });
+        expect(await waiting2).to.deep.equal({ status: 'cancelled', reason: 'unload' });
+        running1.release();
+        running2.release();
+    });
+
+    it('should pass task errors to the caller and continue with the next task', async () => {
+        const queue = new CommandQueue();
+        const failing = queue.enqueue('VIN1', 'LOCKDOOR', async () => {
+            throw new Error('failed');
+        });
+        const next = queue.enqueue('VIN1', 'FINDCAR', async () => 'ok');
+        await expect(failing).to.be.rejectedWith('failed');
+        expect(await next).to.deep.equal({ status: 'done', result: 'ok' });
+    });
+
+    it('should report status changes', async () => {
+        const changes = [];
+        const queue = new CommandQueue((key, status) => changes.push({ key, ...status }));
+        await queue.enqueue('VIN1', 'LOCKDOOR', async () => {});
+        expect(changes[0]).to.deep.equal({ key: 'VIN1', length: 1, current: null });
+        expect(changes).to.deep.include({ key: 'VIN1', length: 0, current: 'LOCKDOOR' });
+        expect(changes[changes.length - 1]).to.deep.equal({ key: 'VIN1', length: 0, current: null });
+    });
+});
@@ -0,0 +1,174 @@
+'use strict';
+
+/**
+ * Error model for the BYD cloud API.
+ * Every error carries a code, a category and a human readable message.
+ */
+
+const bydapi = require('./bydapi');
+
+const ERROR_CATEGORIES = Object.freeze({
+    AUTH: 'auth',
+    RATE_LIMIT: 'rate-limit',
+    PIN: 'pin',
+    OFFLINE: 'offline',
+    UNSUPPORTED: 'unsupported',
+    TRANSPORT: 'transport',
+    API: 'api', // any other non-zero response code
+});
+
+// Human readable messages for known response codes
+const CODE_MESSAGES = {
+    1001: 'Endpoint not supported for this vehicle',
+    1002: 'Session expired',
+    1005: 'Session expired',
+    1009: 'Vehicle offline or T-Box not responding',
+    1010: 'Session expired',
+    6024: 'Command in progress or too many requests',
+    ...bydapi.CONTROL_PASSWORD_ERRORS,
+};
+
+class BydError extends Error {
+    /**
+     * @param {string} message - Human readable message
+     * @param {object} details - Error details
+     * @param {string|number} details.code - BYD response code or transport error code
+     * @param {string} details.category - One of ERROR_CATEGORIES
+     * @param {string} [details.endpoint] - API path that was called
+     */
+    constructor(message, details) {
+        super(message);
+        this.name = 'BydError';
+        this.code = String(details.code);
+        this.category = details.category;
+        this.endpoint = details.endpoint || '';
+    }
+
+    /**
+     * Wrap any error into a BydError (non-BydErrors become transport errors).
+     *
+     * @param {any} error - Caught error
+     * @param {string} [endpoint] - API path or context
+     * @returns {BydError}
+     */
+    static from(error, endpoint) {
+        if (error instanceof BydError) {
+            return error;
+        }
+        return new BydTransportError(endpoint || '', error);
+    }
+}
+
+/**
+ * Network, HTTP or envelope decoding failure.
+ */
+class BydTransportError extends BydError {
+    /**
+     * @param {string} endpoint - API path that was called
+     * @param {any} cause - Original error (axios error, decode error, ...)
+     */
+    constructor(endpoint, cause) {
+        const status = cause?.response?.status;
+        super(cause?.message || String(cause), {
+            code: status ? `HTTP${status}` : cause?.code || 'transport',
+            category: ERROR_CATEGORIES.TRANSPORT,
+            endpoint,
+        });
+        this.name = 'BydTransportError';
+        this.cause = cause;
+        // Keep axios response for logging
+        this.response = cause?.response;
+    }
+}
+
+/**
+ * Response with a code other than '0'.
+ */
+class BydApiError extends BydError {
+    /**
+     * @param {string} endpoint - API path that was called
+     * @param {string|number} code - BYD response code
+     * @param {string} [apiMessage] - Message from the response, if any
+     * @param {string} [category] - Error category, defaults to api
+     */
+    constructor(endpoint, code, apiMessage, category = ERROR_CATEGORIES.API) {
+        super(CODE_MESSAGES[String(code)] || apiMessage || `BYD API error ${code}`, { code, category, endpoint });
+        this.name = 'BydApiError';
+        this.apiMessage = apiMessage || '';
+    }
+}
+
+class BydAuthError extends BydApiError {
+    constructor(endpoint, code, apiMessage) {
+        super(endpoint, code, apiMessage, ERROR_CATEGORIES.AUTH);
+        this.name = 'BydAuthError';
+    }
+}
+
+class BydRateLimitError extends BydApiError {
+    constructor(endpoint, code, apiMessage) {
+        super(endpoint, code, apiMessage, ERROR_CATEGORIES.RATE_LIMIT);
+        this.name = 'BydRateLimitError';
+    }
+}
+
+class BydPinError extends BydApiError {
+    constructor(endpoint, code, apiMessage) {
+        super(endpoint, code, apiMessage, ERROR_CATEGORIES.PIN);
+        this.name = 'BydPinError';
+    }
+}
+
+class BydOfflineError extends BydApiError {
+    constructor(endpoint, code, apiMessage) {
+        super(endpoint, code, apiMessage, ERROR_CATEGORIES.OFFLINE);
+        this.name = 'BydOfflineError';
+    }
+}
+
+class BydUnsupportedError extends BydApiError {
+    constructor(endpoint, code, apiMessage) {
+        super(endpoint, code, apiMessage, ERROR_CATEGORIES.UNSUPPORTED);
+        this.name = 'BydUnsupportedError';
+    }
+}
+
+/**
+ * Create the matching error class for a BYD response code.
+ *
+ * @param {string} endpoint - API path that was called
+ * @param {string|number} code - BYD response code
+ * @param {string} [apiMessage] - Message from the response, if any
+ * @returns {BydApiError}
+ */
+function createApiError(endpoint, code, apiMessage) {
+    if (bydapi.isSessionExpired(code)) {
+        return new BydAuthError(endpoint, code, apiMessage);
+    }
+    if (bydapi.isRateLimited(code)) {
+        return new BydRateLimitError(endpoint, code, apiMessage);
+    }
+    if (bydapi.isControlPasswordError(code)) {
+        return new BydPinError(endpoint, code, apiMessage);
+    }
+    if (bydapi.isRemoteControlServiceError(code)) {
+        return new BydOfflineError(endpoint, code, apiMessage);
+    }
+    if (bydapi.isEndpointNotSupported(code)) {
+        return new BydUnsupportedError(endpoint, code, apiMessage);
+    }
+    return new BydApiError(endpoint, code, apiMessage);
+}
+
+module.exports = {
+    ERROR_CATEGORIES,
+    BydError,
+    BydTransportError,
+    BydApiError,
+    BydAuthError,
+    BydRateLimitError,
+    BydPinError,
+    BydOfflineError,
+    BydUnsupportedError,
+    createApiError,
+};
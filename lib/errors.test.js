@@ -0,0 +1,74 @@
+'use strict';
+
+const { expect } = require('chai');
+const {
+    ERROR_CATEGORIES,
+    BydError,
+    BydTransportError,
+    BydApiError,
+    BydAuthError,
+    BydRateLimitError,
+    BydPinError,
+    BydOfflineError,
+    BydUnsupportedError,
+    createApiError,
+} = require('./errors');
+
+describe('errors => createApiError', () => {
+    const cases = [
+        { code: '1002', ErrorClass: BydAuthError, category: ERROR_CATEGORIES.AUTH },
+        { code: '1005', ErrorClass: BydAuthError, category: ERROR_CATEGORIES.AUTH },
+        { code: '1010', ErrorClass: BydAuthError, category: ERROR_CATEGORIES.AUTH },
+        { code: '6024', ErrorClass: BydRateLimitError, category: ERROR_CATEGORIES.RATE_LIMIT },
+        { code: '5005', ErrorClass: BydPinError, category: ERROR_CATEGORIES.PIN },
+        { code: '5006', ErrorClass: BydPinError, category: ERROR_CATEGORIES.PIN },
+        { code: '5011', ErrorClass: BydPinError, category: ERROR_CATEGORIES.PIN },
+        { code: '1009', ErrorClass: BydOfflineError, category: ERROR_CATEGORIES.OFFLINE },
+        { code: '1001', ErrorClass: BydUnsupportedError, category: ERROR_CATEGORIES.UNSUPPORTED },
+        { code: '9999', ErrorClass: BydApiError, category: ERROR_CATEGORIES.API },
+    ];
+
+    for (const { code, ErrorClass, category } of cases) {
+        it(`should map code ${code} to ${ErrorClass.name} (${category})`, () => {
+            const error = createApiError('/test', code, 'api message');
+            expect(error).to.be.instanceOf(ErrorClass);
+            expect(error).to.be.instanceOf(BydApiError);
+            expect(error.category).to.equal(category);
+            expect(error.code).to.equal(code);
+            expect(error.endpoint).to.equal('/test');
+            expect(error.apiMessage).to.equal('api message');
+        });
+    }
+
+    it('should accept numeric codes', () => {
+        const error = createApiError('/test', 6024);
+        expect(error).to.be.instanceOf(BydRateLimitError);
+        expect(error.code).to.equal('6024');
+    });
+
+    it('should use the message of the response for unknown codes', () => {
+        expect(createApiError('/test', '9999', 'Something failed').message).to.equal('Something failed');
+        expect(createApiError('/test', '9999').message).to.equal('BYD API error 9999');
+    });
+});
+
+describe('errors => BydError.from', () => {
+    it('should keep BydErrors', () => {
+        const error = createApiError('/test', '1009');
+        expect(BydError.from(error)).to.equal(error);
+    });
+
+    it('should wrap other errors as transport errors', () => {
+        const cause = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+        const error = BydError.from(cause, '/test');
+        expect(error).to.be.instanceOf(BydTransportError);
+        expect(error.category).to.equal(ERROR_CATEGORIES.TRANSPORT);
+        expect(error.code).to.equal('ECONNRESET');
+        expect(error.cause).to.equal(cause);
+    });
+
+    it('should use the HTTP status as code', () => {
+        const error = new BydTransportError('/test', { message: 'Bad gateway', response: { status: 502 } });
+        expect(error.code).to.equal('HTTP502');
+    });
+});
@@ -0,0 +1,123 @@
+'use strict';
+
+/**
+ * Time windows with their own polling profile (quiet hours).
+ * A window runs from start (inclusive) to end (exclusive) in local time and may cross midnight (23:00-06:00).
+ */
+
+/**
+ * Parse "HH:MM" into minutes after midnight.
+ *
+ * @param {any} value - Time string
+ * @returns {number|null} Minutes (0-1439) or null if invalid
+ */
+function parseTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value ?? '').trim());
+    if (!match) {
+        return null;
+    }
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    if (hours > 23 || minutes > 59) {
+        return null;
+    }
+    return hours * 60 + minutes;
+}
+
+/**
+ * Validate the rows of the pollWindows table.
+ * Empty interval cells stay null (= normal interval).
+ *
+ * @param {any} rows - Table rows { enabled, start, end, pollInterval, gpsPollInterval, paused }
+ * @returns {{windows: Array<{start: number, end: number, label: string, pollInterval: number|null, gpsPollInterval: number|null, paused: boolean}>, invalid: any[]}} Parsed windows and rejected rows
+ */
+function parseWindows(rows) {
+    const windows = [];
+    const invalid = [];
+    for (const row of Array.isArray(rows) ? rows : []) {
+        if (!row || row.enabled === false) {
+            continue;
+        }
+        const start = parseTime(row.start);
+        const end = parseTime(row.end);
+        if (start === null || end === null || start === end) {
+            invalid.push(row);
+            continue;
+        }
+        const interval = value => (value === '' || value == null || isNaN(Number(value)) ? null : Number(value));
+        windows.push({
+            start,
+            end,
+            label: `${String(row.start).trim()}-${String(row.end).trim()}`,
+            pollInterval: interval(row.pollInterval),
+            gpsPollInterval: interval(row.gpsPollInterval),
+            paused: row.paused === true,
+        });
+    }
+    return { windows, invalid };
+}
+
+/**
+ * First window containing the given time.
+ *
+ * @param {Array<{start: number, end: number}>} windows - Parsed windows
+ * @param {Date} [date] - Time to check, default now
+ * @returns {any} Active window or null
+ */
+function findActiveWindow(windows, date = new Date()) {
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    return (
+        windows.find(window =>
+            window.start < window.end
+                ? minutes >= window.start && minutes < window.end
+                : minutes >= window.start || minutes < window.end,
+        ) || null
+    );
+}
+
+/**
+ * Time until the next occurrence of a time of day (a full day if it is the current minute).
+ *
+ * @param {number} minuteOfDay - Minutes after midnight
+ * @param {Date} date - Current time
+ * @returns {number} Milliseconds
+ */
+function msUntilMinute(minuteOfDay, date) {
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const remaining = (minuteOfDay - minutes + 1440) % 1440 || 1440;
+    return remaining * 60000 - date.getSeconds() * 1000 - date.getMilliseconds();
+}
+
+/**
+ * Time until a window ends.
+ *
+ * @param {{end: number}} window - Parsed window
+ * @param {Date} [date] - Current time, default now
+ * @returns {number} Milliseconds until the end of the window
+ */
+function msUntilEnd(window, date = new Date()) {
+    return msUntilMinute(window.end, date);
+}
+
+/**
+ * Time until the next start or end of any window, so a poll never sleeps into a different profile.
+ *
+ * @param {Array<{start: number, end: number}>} windows - Parsed windows
+ * @param {Date} [date] - Current time, default now
+ * @returns {number} Milliseconds until the next boundary, Infinity without windows
+ */
+function msUntilNextBoundary(windows, date = new Date()) {
+    let next = Infinity;
+    for (const window of windows) {
+        next = Math.min(next, msUntilMinute(window.start, date), msUntilMinute(window.end, date));
+    }
+    return next;
+}
+
+module.exports = {
+    parseTime,
+    parseWindows,
+    findActiveWindow,
+    msUntilEnd,
+    msUntilNextBoundary,
+};
@@ -0,0 +1,132 @@
+'use strict';
+
+const { expect } = require('chai');
+const { parseTime, parseWindows, findActiveWindow, msUntilEnd, msUntilNextBoundary } = require('./pollwindows');
+
+/**
+ * Local time on a fixed day
+ *
+ * @param {number} hours - Hours
+ * @param {number} minutes - Minutes
+ * @param {number} [seconds] - Seconds
+ */
+function at(hours, minutes, seconds = 0) {
+    return new Date(2025, 0, 15, hours, minutes, seconds);
+}
+
+describe('pollwindows => parseTime', () => {
+    it('should parse HH:MM and H:MM', () => {
+        expect(parseTime('23:00')).to.equal(1380);
+        expect(parseTime('6:05')).to.equal(365);
+        expect(parseTime(' 00:00 ')).to.equal(0);
+    });
+
+    it('should reject invalid times', () => {
+        expect(parseTime('24:00')).to.equal(null);
+        expect(parseTime('12:60')).to.equal(null);
+        expect(parseTime('noon')).to.equal(null);
+        expect(parseTime(undefined)).to.equal(null);
+    });
+});
+
+describe('pollwindows => parseWindows', () => {
+    it('should parse rows and keep empty intervals as null', () => {
+        const { windows, invalid } = parseWindows([
+            { start: '23:00', end: '06:00', paused: true },
+            { start: '12:00', end: '13:30', pollInterval: 900, gpsPollInterval: '' },
+        ]);
+        expect(invalid).to.deep.equal([]);
+        expect(windows).to.deep.equal([
+            { start: 1380, end: 360, label: '23:00-06:00', pollInterval: null, gpsPollInterval: null, paused: true },
+            { start: 720, end: 810, label: '12:00-13:30', pollInterval: 900, gpsPollInterval: null, paused: false },
+        ]);
+    });
+
+    it('should skip disabled rows and report invalid ones', () => {
+        const rows = [
+            { enabled: false, start: '23:00', end: '06:00' },
+            { start: 'x', end: '06:00' },
+            { start: '06:00', end: '06:00' },
+        ];
+        const { windows, invalid } = parseWindows(rows);
+        expect(windows).to.deep.equal([]);
+        expect(invalid).to.deep.equal([rows[1], rows[2]]);
+    });
+
+    it('should accept a missing table', () => {
+        expect(parseWindows(undefined)).to.deep.equal({ windows: [], invalid: [] });
+    });
+});
+
+describe('pollwindows => findActiveWindow', () => {
+    const { windows } = parseWindows([
+        { start: '23:00', end: '06:00', paused: true },
+        { start: '12:00', end: '13:30', pollInterval: 900 },
+    ]);
+
+    it('should match windows across midnight', () => {
+        expect(findActiveWindow(windows, at(22, 59))).to.equal(null);
+        expect(findActiveWindow(windows, at(23, 0))?.label).to.equal('23:00-06:00');
+        expect(findActiveWindow(windows, at(0, 0))?.label).to.equal('23:00-06:00');
+        expect(findActiveWindow(windows, at(5, 59))?.label).to.equal('23:00-06:00');
+        expect(findActiveWindow(windows, at(6, 0))).to.equal(null);
+    });
+
+    it('should match windows within a day (end exclusive)', () => {
+        expect(findActiveWindow(windows, at(11, 59))).to.equal(null);
+        expect(findActiveWindow(windows, at(12, 0))?.label).to.equal('12:00-13:30');
+        expect(findActiveWindow(windows, at(13, 29))?.label).to.equal('12:00-13:30');
+        expect(findActiveWindow(windows, at(13, 30))).to.equal(null);
+    });
+
+    it('should return the first matching window', () => {
+        const overlapping = parseWindows([
+            { start: '22:00', end: '02:00', pollInterval: 600 },
+            { start: '23:00', end: '06:00', paused: true },
+        ]).windows;
+        expect(findActiveWindow(overlapping, at(23, 30))?.label).to.equal('22:00-02:00');
+        expect(findActiveWindow(overlapping, at(3, 0))?.label).to.equal('23:00-06:00');
+    });
+});
+
+describe('pollwindows => msUntilEnd', () => {
+    const [night] = parseWindows([{ start: '23:00', end: '06:00' }]).windows;
+
+    it('should count across midnight', () => {
+        expect(msUntilEnd(night, at(23, 0))).to.equal(7 * 60 * 60000);
+        expect(msUntilEnd(night, at(2, 0))).to.equal(4 * 60 * 60000);
+    });
+
+    it('should include seconds', () => {
+        expect(msUntilEnd(night, at(5, 59, 30))).to.equal(30000);
+    });
+});
+
+describe('pollwindows => msUntilNextBoundary', () => {
+    const { windows } = parseWindows([
+        { start: '23:00', end: '06:00', paused: true },
+        { start: '12:00', end: '13:30', pollInterval: 900 },
+    ]);
+
+    it('should stop at the next window start outside of windows', () => {
+        expect(msUntilNextBoundary(windows, at(22, 30))).to.equal(30 * 60000);
+        expect(msUntilNextBoundary(windows, at(7, 0))).to.equal(5 * 60 * 60000);
+    });
+
+    it('should stop at the end of the active window', () => {
+        expect(msUntilNextBoundary(windows, at(13, 0))).to.equal(30 * 60000);
+        expect(msUntilNextBoundary(windows, at(2, 0))).to.equal(4 * 60 * 60000);
+    });
+
+    it('should stop at a window starting inside the active window', () => {
+        const overlapping = parseWindows([
+            { start: '22:00', end: '06:00', pollInterval: 600 },
+            { start: '23:00', end: '05:00', paused: true },
+        ]).windows;
+        expect(msUntilNextBoundary(overlapping, at(22, 15))).to.equal(45 * 60000);
+    });
+
+    it('should return Infinity without windows', () => {
+        expect(msUntilNextBoundary([], at(12, 0))).to.equal(Infinity);
+    });
+});
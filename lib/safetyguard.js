@@ -0,0 +1,100 @@
+'use strict';
+
+/**
+ * Safety checks for critical remote commands (unlock, open windows, climate):
+ * - allow-list of ioBroker adapters/users that may send them
+ * - optional two-step flow: the first write arms the command, the same write
+ *   within the confirm window executes it
+ */
+
+class SafetyGuard {
+    /**
+     * @param {object} [options] - Guard options
+     * @param {string[]} [options.allowList] - Allowed sources (adapter instance, adapter name or user), empty = all
+     * @param {number} [options.confirmTimeout] - Confirm window in ms, 0 = no confirmation needed
+     */
+    constructor(options = {}) {
+        this.allowList = options.allowList || [];
+        this.confirmTimeout = options.confirmTimeout || 0;
+        // key -> { value, until }
+        this.armed = new Map();
+    }
+
+    /**
+     * Split a comma/space separated allow-list setting.
+     *
+     * @param {string} text - Setting value, e.g. "javascript.0, admin"
+     * @returns {string[]} Entries
+     */
+    static parseAllowList(text) {
+        return String(text || '')
+            .split(/[\s,;]+/)
+            .map(entry => entry.trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Check a source against the allow-list.
+     *
+     * Entries match the writing adapter (`javascript.0`, `javascript` or `system.adapter.javascript.0`)
+     * or the user (`admin` or `system.user.admin`).
+     *
+     * @param {string} [from] - state.from / message sender (system.adapter.<name>.<instance>)
+     * @param {string} [user] - state.user (system.user.<name>)
+     * @returns {boolean} True if allowed
+     */
+    isAllowed(from, user) {
+        if (this.allowList.length === 0) {
+            return true;
+        }
+        return this.allowList.some(entry => {
+            const adapterId = entry.startsWith('system.adapter.') ? entry : `system.adapter.${entry}`;
+            const userId = entry.startsWith('system.user.') ? entry : `system.user.${entry}`;
+            return (!!from && (from === adapterId || from.startsWith(`${adapterId}.`))) || (!!user && user === userId);
+        });
+    }
+
+    /**
+     * Check a critical command.
+     *
+     * Result:
+     * - allowed: execute the command
+     * - armed: first write of a two-step command, confirm by writing the same value again
+     * - rejected: source not allowed (reason is set)
+     *
+     * @param {string} key - Command key (e.g. <vin>.lock)
+     * @param {any} value - Written value
+     * @param {object} source - Sender
+     * @param {string} [source.from] - state.from / message sender
+     * @param {string} [source.user] - state.user
+     * @returns {{status: string, reason?: string, until?: number}}
+     */
+    check(key, value, source) {
+        if (!this.isAllowed(source.from, source.user)) {
+            return { status: 'rejected', reason: `${source.from || source.user || 'unknown source'} is not allowed` };
+        }
+        if (!this.confirmTimeout) {
+            return { status: 'allowed' };
+        }
+        const serialized = JSON.stringify(value);
+        const armed = this.armed.get(key);
+        this.armed.delete(key);
+        if (armed && armed.value === serialized && Date.now() < armed.until) {
+            return { status: 'allowed' };
+        }
+        const until = Date.now() + this.confirmTimeout;
+        this.armed.set(key, { value: serialized, until });
+        return { status: 'armed', until };
+    }
+
+    /**
+     * Drop all armed commands.
+     */
+    clear() {
+        this.armed.clear();
+    }
+}
+
+module.exports = {
+    SafetyGuard,
+};
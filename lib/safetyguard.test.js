@@ -0,0 +1,97 @@
+'use strict';
+
+const { expect } = require('chai');
+const { SafetyGuard } = require('./safetyguard');
+
+describe('SafetyGuard => parseAllowList', () => {
+    it('should split comma, semicolon and space separated entries', () => {
+        expect(SafetyGuard.parseAllowList('javascript.0, admin;node-red.0  scenes')).to.deep.equal([
+            'javascript.0',
+            'admin',
+            'node-red.0',
+            'scenes',
+        ]);
+    });
+
+    it('should return an empty list for empty settings', () => {
+        expect(SafetyGuard.parseAllowList('')).to.deep.equal([]);
+        expect(SafetyGuard.parseAllowList(' , ')).to.deep.equal([]);
+    });
+});
+
+describe('SafetyGuard => isAllowed', () => {
+    const guard = new SafetyGuard({ allowList: ['javascript.0', 'node-red', 'admin', 'system.adapter.scenes.0'] });
+
+    it('should allow everyone with an empty allow-list', () => {
+        expect(new SafetyGuard().isAllowed('system.adapter.anything.0')).to.equal(true);
+    });
+
+    it('should match adapter instances', () => {
+        expect(guard.isAllowed('system.adapter.javascript.0')).to.equal(true);
+        expect(guard.isAllowed('system.adapter.javascript.1')).to.equal(false);
+        expect(guard.isAllowed('system.adapter.scenes.0')).to.equal(true);
+    });
+
+    it('should match all instances of an adapter name', () => {
+        expect(guard.isAllowed('system.adapter.node-red.0')).to.equal(true);
+        expect(guard.isAllowed('system.adapter.node-red.3')).to.equal(true);
+        expect(guard.isAllowed('system.adapter.node-red-contrib.0')).to.equal(false);
+    });
+
+    it('should match users', () => {
+        expect(guard.isAllowed('system.adapter.admin.0', 'system.user.admin')).to.equal(true);
+        expect(guard.isAllowed('system.adapter.web.0', 'system.user.guest')).to.equal(false);
+    });
+
+    it('should reject unknown sources', () => {
+        expect(guard.isAllowed(undefined, undefined)).to.equal(false);
+    });
+});
+
+describe('SafetyGuard => check', () => {
+    const source = { from: 'system.adapter.javascript.0' };
+
+    it('should allow directly without confirmation window', () => {
+        expect(new SafetyGuard().check('VIN1.lock', false, source)).to.deep.equal({ status: 'allowed' });
+    });
+
+    it('should reject sources that are not allowed', () => {
+        const guard = new SafetyGuard({ allowList: ['admin'], confirmTimeout: 1000 });
+        const result = guard.check('VIN1.lock', false, source);
+        expect(result.status).to.equal('rejected');
+        expect(result.reason).to.contain('system.adapter.javascript.0');
+        // Rejected writes do not arm the command
+        expect(guard.armed.size).to.equal(0);
+    });
+
+    it('should arm on the first write and allow the confirmation', () => {
+        const guard = new SafetyGuard({ confirmTimeout: 1000 });
+        const armed = guard.check('VIN1.lock', false, source);
+        expect(armed.status).to.equal('armed');
+        expect(armed.until).to.be.above(Date.now());
+        expect(guard.check('VIN1.lock', false, source)).to.deep.equal({ status: 'allowed' });
+        // Confirmation is used up
+        expect(guard.check('VIN1.lock', false, source).status).to.equal('armed');
+    });
+
+    it('should not confirm with a different value or command', () => {
+        const guard = new SafetyGuard({ confirmTimeout: 1000 });
+        guard.check('VIN1.windows.sunroof', true, source);
+        expect(guard.check('VIN1.lock', false, source).status).to.equal('armed');
+        expect(guard.check('VIN1.windows.sunroof', false, source).status).to.equal('armed');
+    });
+
+    it('should not confirm after the window expired', async () => {
+        const guard = new SafetyGuard({ confirmTimeout: 20 });
+        guard.check('VIN1.lock', false, source);
+        await new Promise(resolve => setTimeout(resolve, 40));
+        expect(guard.check('VIN1.lock', false, source).status).to.equal('armed');
+    });
+
+    it('should drop armed commands on clear', () => {
+        const guard = new SafetyGuard({ confirmTimeout: 1000 });
+        guard.check('VIN1.lock', false, source);
+        guard.clear();
+        expect(guard.check('VIN1.lock', false, source).status).to.equal('armed');
+    });
+});
@@ -0,0 +1,176 @@
+'use strict';
+
+/**
+ * Trigger-and-poll engine for BYD request/result endpoint pairs.
+ * Flow: HTTP trigger -> optional push wait (MQTT) -> HTTP poll with exponential backoff.
+ * Runs are keyed: a newer run with the same key cancels the older one.
+ */
+
+const DEFAULT_PROFILE = Object.freeze({
+    attempts: 10, // max HTTP poll attempts
+    interval: 1500, // delay before the first poll (ms)
+    backoff: 1, // delay multiplier per attempt (1 = fixed interval)
+    maxInterval: 10000, // upper bound for the poll delay (ms)
+    deadline: 60000, // overall time budget incl. push wait (ms)
+});
+
+/**
+ * Sleep that ends early when the signal is aborted.
+ *
+ * @param {number} ms - Delay in ms
+ * @param {AbortSignal} signal - Abort signal of the run
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+    return new Promise(resolve => {
+        if (signal.aborted) {
+            resolve();
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+        const timer = setTimeout(() => {
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+class TriggerPollEngine {
+    constructor() {
+        // key (string or private symbol) -> AbortController of the active run
+        this.runs = new Map();
+    }
+
+    /**
+     * Run trigger -> push wait -> poll.
+     *
+     * Result status:
+     * - ready: data available (source: trigger, mqtt or http)
+     * - noSerial: trigger returned neither data nor requestSerial
+     * - timeout: attempts or deadline exhausted
+     * - error: onPollError asked to stop (error is set)
+     * - cancelled: superseded by a newer run or cancelled (reason is set)
+     *
+     * Errors thrown by trigger() are passed to the caller.
+     *
+     * @param {string|null} key - Supersede key (e.g. `${vin}.realtime`), null for no supersession
+     * @param {object} spec - Endpoint spec and profile overrides (see DEFAULT_PROFILE)
+     * @param {() => Promise<any>} spec.trigger - Trigger request, resolves with trigger data
+     * @param {(requestSerial: string) => Promise<any>} spec.poll - Poll request
+     * @param {(data: any) => boolean} spec.isReady - True if poll/push data is complete
+     * @param {(data: any) => boolean} [spec.acceptTrigger] - True if trigger data is final (default: isReady)
+     * @param {(requestSerial: string, signal: AbortSignal, timeoutMs: number) => Promise<any>} [spec.waitForPush] - Push wait, resolves null on timeout
+     * @param {(error: Error, attempt: number) => boolean|void} [spec.onPollError] - Return true to stop polling
+     * @returns {Promise<{status: string, source: string|null, data: any, attempts: number, requestSerial: string|null, reason?: any, error?: Error}>}
+     */
+    async run(key, spec) {
+        const profile = { ...DEFAULT_PROFILE, ...spec };
+        const controller = new AbortController();
+        const signal = controller.signal;
+        // Keyless runs get a private key so cancelAll() still reaches them
+        const runKey = key || Symbol('run');
+        if (key) {
+            this.cancel(key, 'superseded');
+        }
+        this.runs.set(runKey, controller);
+
+        const deadlineAt = Date.now() + profile.deadline;
+        const result = { status: 'timeout', source: null, data: null, attempts: 0, requestSerial: null };
+        const cancelled = () => ({ ...result, status: 'cancelled', reason: signal.reason });
+        const ready = (source, data) => ({ ...result, status: 'ready', source, data });
+
+        try {
+            const triggerData = await spec.trigger();
+            if (signal.aborted) {
+                return cancelled();
+            }
+            result.requestSerial = triggerData?.requestSerial || null;
+
+            const acceptTrigger = spec.acceptTrigger || spec.isReady;
+            if (triggerData && acceptTrigger(triggerData)) {
+                return ready('trigger', triggerData);
+            }
+            if (!result.requestSerial) {
+                return { ...result, status: 'noSerial' };
+            }
+
+            if (spec.waitForPush) {
+                const pushData = await spec.waitForPush(result.requestSerial, signal, deadlineAt - Date.now());
+                if (signal.aborted) {
+                    return cancelled();
+                }
+                if (pushData) {
+                    return ready('mqtt', pushData);
+                }
+            }
+
+            /** @type {number} */
+            let delay = profile.interval;
+            for (let attempt = 1; attempt <= profile.attempts; attempt++) {
+                const remaining = deadlineAt - Date.now();
+                if (remaining <= 0) {
+                    break;
+                }
+                await sleep(Math.min(delay, remaining), signal);
+                if (signal.aborted) {
+                    return cancelled();
+                }
+
+                result.attempts = attempt;
+                try {
+                    const data = await spec.poll(result.requestSerial);
+                    if (signal.aborted) {
+                        return cancelled();
+                    }
+                    if (data && spec.isReady(data)) {
+                        return ready('http', data);
+                    }
+                } catch (error) {
+                    if (spec.onPollError && spec.onPollError(error, attempt) === true) {
+                        return { ...result, status: 'error', error };
+                    }
+                }
+                delay = Math.min(delay * profile.backoff, profile.maxInterval);
+            }
+            return result;
+        } finally {
+            if (this.runs.get(runKey) === controller) {
+                this.runs.delete(runKey);
+            }
+        }
+    }
+
+    /**
+     * Cancel the active run for a key.
+     *
+     * @param {string|symbol} key - Supersede key
+     * @param {string} [reason] - Cancel reason reported in the result
+     */
+    cancel(key, reason = 'cancelled') {
+        const controller = this.runs.get(key);
+        if (controller) {
+            this.runs.delete(key);
+            controller.abort(reason);
+        }
+    }
+
+    /**
+     * Cancel all active runs (adapter unload).
+     *
+     * @param {string} [reason] - Cancel reason reported in the results
+     */
+    cancelAll(reason = 'unload') {
+        for (const key of [...this.runs.keys()]) {
+            this.cancel(key, reason);
+        }
+    }
+}
+
+module.exports = {
+    TriggerPollEngine,
+    DEFAULT_PROFILE,
+};
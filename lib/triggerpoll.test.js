@@ -0,0 +1,151 @@
+'use strict';
+
+const { expect } = require('chai');
+const { TriggerPollEngine } = require('./triggerpoll');
+
+/**
+ * Spec that never gets ready: trigger returns a serial, polls return pending data.
+ *
+ * @param {object} [overrides] - Profile/spec overrides
+ */
+function pendingSpec(overrides = {}) {
+    const polls = [];
+    return {
+        polls,
+        spec: {
+            attempts: 5,
+            interval: 5,
+            backoff: 1,
+            maxInterval: 50,
+            deadline: 2000,
+            trigger: async () => ({ requestSerial: 'serial-1' }),
+            poll: async serial => {
+                polls.push({ serial, time: Date.now() });
+                return { ready: false };
+            },
+            isReady: data => data.ready === true,
+            ...overrides,
+        },
+    };
+}
+
+describe('TriggerPollEngine => run', () => {
+    it('should accept final trigger data without polling', async () => {
+        const { spec, polls } = pendingSpec({ trigger: async () => ({ ready: true }) });
+        const result = await new TriggerPollEngine().run(null, spec);
+        expect(result.status).to.equal('ready');
+        expect(result.source).to.equal('trigger');
+        expect(polls).to.have.length(0);
+    });
+
+    it('should report noSerial if the trigger returns no requestSerial', async () => {
+        const { spec } = pendingSpec({ trigger: async () => ({}) });
+        const result = await new TriggerPollEngine().run(null, spec);
+        expect(result.status).to.equal('noSerial');
+    });
+
+    it('should prefer push data over polling', async () => {
+        const { spec, polls } = pendingSpec({ waitForPush: async () => ({ ready: true, via: 'push' }) });
+        const result = await new TriggerPollEngine().run(null, spec);
+        expect(result.status).to.equal('ready');
+        expect(result.source).to.equal('mqtt');
+        expect(result.data.via).to.equal('push');
+        expect(result.requestSerial).to.equal('serial-1');
+        expect(polls).to.have.length(0);
+    });
+
+    it('should poll until the data is ready', async () => {
+        let count = 0;
+        const { spec } = pendingSpec({
+            poll: async () => ({ ready: ++count === 3 }),
+        });
+        const result = await new TriggerPollEngine().run(null, spec);
+        expect(result.status).to.equal('ready');
+        expect(result.source).to.equal('http');
+        expect(result.attempts).to.equal(3);
+    });
+
+    it('should time out after the configured attempts', async () => {
+        const { spec, polls } = pendingSpec();
+        const result = await new TriggerPollEngine().run(null, spec);
+        expect(result.status).to.equal('timeout');
+        expect(result.attempts).to.equal(5);
+        expect(polls).to.have.length(5);
+        expect(polls[0].serial).to.equal('serial-1');
+    });
+
+    it('should increase the poll delay with backoff up to maxInterval', async () => {
+        const { spec, polls } = pendingSpec({ interval: 10, backoff: 2, maxInterval: 40 });
+        const start = Date.now();
+        await new TriggerPollEngine().run(null, spec);
+        // Delays: 10, 20, 40, 40, 40
+        expect(polls[0].time - start).to.be.at.least(9);
+        expect(polls[1].time - polls[0].time).to.be.at.least(19);
+        expect(polls[2].time - polls[1].time).to.be.at.least(39);
+        expect(polls[4].time - polls[3].time).to.be.at.least(39);
+        expect(polls[4].time - polls[3].time).to.be.below(150);
+    });
+
+    it('should stop at the deadline', async () => {
+        const { spec, polls } = pendingSpec({ attempts: 100, interval: 10, deadline: 60 });
+        const start = Date.now();
+        const result = await new TriggerPollEngine().run(null, spec);
+        expect(result.status).to.equal('timeout');
+        expect(polls.length).to.be.below(100);
+        expect(Date.now() - start).to.be.below(500);
+    });
+
+    it('should stop polling when onPollError returns true', async () => {
+        const failure = new Error('poll failed');
+        const { spec } = pendingSpec({
+            poll: async () => {
+                throw failure;
+            },
+            onPollError: () => true,
+        });
+        const result = await new TriggerPollEngine().run(null, spec);
+        expect(result.status).to.equal('error');
+        expect(result.error).to.equal(failure);
+    });
+
+    it('should pass trigger errors to the caller', async () => {
+        const { spec } = pendingSpec({
+            trigger: async () => {
+                throw new Error('trigger failed');
+            },
+        });
+        await expect(new TriggerPollEngine().run(null, spec)).to.be.rejectedWith('trigger failed');
+    });
+});
+
+describe('TriggerPollEngine => cancellation', () => {
+    it('should cancel the older run when a run with the same key starts', async () => {
+        const engine = new TriggerPollEngine();
+        const first = engine.run('VIN1.realtime', pendingSpec({ interval: 50 }).spec);
+        await new Promise(resolve => setImmediate(resolve));
+        const second = engine.run('VIN1.realtime', pendingSpec({ trigger: async () => ({ ready: true }) }).spec);
+        const [firstResult, secondResult] = await Promise.all([first, second]);
+        expect(firstResult.status).to.equal('cancelled');
+        expect(firstResult.reason).to.equal('superseded');
+        expect(secondResult.status).to.equal('ready');
+    });
+
+    it('should not cancel runs with other keys', async () => {
+        const engine = new TriggerPollEngine();
+        const first = engine.run('VIN1.realtime', pendingSpec({ attempts: 1 }).spec);
+        const second = engine.run('VIN2.realtime', pendingSpec({ attempts: 1 }).spec);
+        const results = await Promise.all([first, second]);
+        expect(results.map(result => result.status)).to.deep.equal(['timeout', 'timeout']);
+    });
+
+    it('should cancel keyless runs with cancelAll', async () => {
+        const engine = new TriggerPollEngine();
+        const run = engine.run(null, pendingSpec({ interval: 1000 }).spec);
+        await new Promise(resolve => setImmediate(resolve));
+        engine.cancelAll('unload');
+        const result = await run;
+        expect(result.status).to.equal('cancelled');
+        expect(result.reason).to.equal('unload');
+        expect(engine.runs.size).to.equal(0);
+    });
+});
@@ -1,16 +1,168 @@
 'use strict';
 
+const crypto = require('crypto');
 const utils = require('@iobroker/adapter-core');
-const axios = require('axios').default;
-const { wrapper } = require('axios-cookiejar-support');
-const { CookieJar } = require('tough-cookie');
 const mqtt = require('mqtt');
 const Json2iob = require('json2iob');
 const bydapi = require('./lib/bydapi');
+const { BydClient } = require('./lib/bydclient');
+const {
+    BydError,
+    BydApiError,
+    BydAuthError,
+    BydPinError,
+    BydRateLimitError,
+    BydOfflineError,
+    BydUnsupportedError,
+    ERROR_CATEGORIES,
+} = require('./lib/errors');
+const { TriggerPollEngine } = require('./lib/triggerpoll');
+const { CommandQueue } = require('./lib/commandqueue');
+const { SafetyGuard } = require('./lib/safetyguard');
+const { AuditLog } = require('./lib/auditlog');
+const pollwindows = require('./lib/pollwindows');
 const devicegen = require('./lib/devicegen');
 const descriptions = require('./lib/descriptions.json');
 const states = require('./lib/states.json');
 
+// Trigger+poll profiles per endpoint (see lib/triggerpoll.js DEFAULT_PROFILE)
+// attempts: HTTP polls, interval/maxInterval: poll delay in ms, backoff: delay multiplier, deadline: total budget in ms
+const POLL_PROFILES = {
+    realtime: { attempts: 10, interval: 1500, backoff: 1.3, maxInterval: 6000, deadline: 60000 },
+    gps: { attempts: 8, interval: 1500, backoff: 1.3, maxInterval: 6000, deadline: 45000 },
+    remoteControl: { attempts: 10, interval: 1500, backoff: 1.2, maxInterval: 4000, deadline: 45000 },
+};
+
+// Climate settings under <vin>.remote.climateSettings (used when remote.climate is switched on)
+const CLIMATE_DURATIONS = { 10: 1, 15: 2, 20: 3, 25: 4, 30: 5 }; // minutes -> timeSpan
+const CLIMATE_SETTINGS = {
+    temperature: {
+        name: 'Driver target temperature',
+        type: 'number',
+        role: 'level.temperature',
+        unit: '°C',
+        min: 15,
+        max: 31,
+        def: 21,
+    },
+    passengerTemperature: {
+        name: 'Passenger target temperature',
+        type: 'number',
+        role: 'level.temperature',
+        unit: '°C',
+        min: 15,
+        max: 31,
+        def: 21,
+    },
+    duration: {
+        name: 'Duration',
+        type: 'number',
+        role: 'level',
+        unit: 'min',
+        def: 10,
+        states: { 10: '10 min', 15: '15 min', 20: '20 min', 25: '25 min', 30: '30 min' },
+    },
+    recirculation: {
+        name: 'Recirculation true = inside air, false = fresh air',
+        type: 'boolean',
+        role: 'switch',
+        def: false,
+    },
+    fanLevel: { name: 'Fan level (0 = auto)', type: 'number', role: 'level', min: 0, max: 7, def: 0 },
+};
+
+// Seat climate states under <vin>.remote.seatClimate
+// param: buildSeatClimateParams option, status: realtime field mirrored into the state
+const SEAT_CLIMATE = {
+    driverHeat: { name: 'Driver seat heating level', param: 'mainHeat', status: 'mainSeatHeatState' },
+    driverVentilation: {
+        name: 'Driver seat ventilation level',
+        param: 'mainVentilation',
+        status: 'mainSeatVentilationState',
+    },
+    passengerHeat: { name: 'Passenger seat heating level', param: 'copilotHeat', status: 'copilotSeatHeatState' },
+    passengerVentilation: {
+        name: 'Passenger seat ventilation level',
+        param: 'copilotVentilation',
+        status: 'copilotSeatVentilationState',
+    },
+    rearLeftHeat: { name: 'Rear left seat heating level', param: 'lrSeatHeat', status: 'lrSeatHeatState' },
+    rearLeftVentilation: {
+        name: 'Rear left seat ventilation level',
+        param: 'lrSeatVentilation',
+        status: 'lrSeatVentilationState',
+    },
+    rearRightHeat: { name: 'Rear right seat heating level', param: 'rrSeatHeat', status: 'rrSeatHeatState' },
+    rearRightVentilation: {
+        name: 'Rear right seat ventilation level',
+        param: 'rrSeatVentilation',
+        status: 'rrSeatVentilationState',
+    },
+    steeringWheelHeat: {
+        name: 'Steering wheel heating true = on, false = off',
+        param: 'steeringWheelHeat',
+        status: 'steeringWheelHeatState',
+        boolean: true,
+    },
+};
+
+// Realtime/HVAC status field -> remote toggle, used to mirror status and to revert failed commands
+const STATUS_TO_REMOTE = {
+    status: { remote: 'climate', transform: v => v === 2 }, // HVAC status field
+    batteryHeatState: { remote: 'batteryHeat', transform: v => v > 0 },
+    mainSeatHeatState: { remote: 'seatHeat', transform: v => v > 0 },
+    leftFrontDoorLock: { remote: 'lock', transform: v => v === 2 },
+};
+// Realtime window field -> open indicator under <vin>.remote.windows (1=closed, 2=open)
+const WINDOW_STATES = {
+    leftFrontWindow: 'leftFront',
+    rightFrontWindow: 'rightFront',
+    leftRearWindow: 'leftRear',
+    rightRearWindow: 'rightRear',
+    skylight: 'sunroofOpen',
+};
+// sentryStatus: 0=off, 1=on (see lib/descriptions.json)
+const SENTRY_STATES = { 0: 'off', 1: 'on' };
+const MAX_SENTRY_EVENTS = 100;
+const MAX_AUDIT_ENTRIES = 500;
+// Quiet hours: paused polling re-checks every minute and resumes for a while after an MQTT push (car awake)
+const QUIET_RECHECK_INTERVAL = 60; // seconds
+const QUIET_WAKE_PERIOD = 15 * 60 * 1000;
+// Remote state (path below <vin>.remote) -> capability (see bydapi.parseCapabilities)
+const REMOTE_CAPABILITIES = {
+    batteryHeat: 'batteryHeat',
+    smartCharging: 'smartCharging',
+    chargingSchedule: 'smartCharging',
+    'seatClimate.steeringWheelHeat': 'steeringWheelHeat',
+};
+// One-shot remote buttons, reset to false after the command
+const REMOTE_BUTTONS = ['flash', 'findCar', 'closeWindows'];
+// Charging schedule defaults for fields not known yet (empty cloud schedule, no confirmed states)
+const CHARGING_SCHEDULE_DEFAULTS = { targetSoc: 80, startTime: '22:00', endTime: '06:00' };
+// Safety-critical command types -> category (enabled via safetyUnlock/safetyWindows/safetyClimate)
+const SAFETY_COMMAND_TYPES = {
+    OPENDOOR: 'unlock',
+    OPENWINDOW: 'windows',
+    OPENSKYLIGHT: 'windows',
+    OPENAIR: 'climate',
+};
+
+// Login retry: delay doubles per failed login (base..max ms), stop after repeated credential rejections
+const LOGIN_BACKOFF = { base: 30000, max: 30 * 60 * 1000 };
+const MAX_LOGIN_REJECTIONS = 3;
+// A session expiry reported within this time after a login came from a request with the old session
+const LOGIN_GRACE_PERIOD = 10000;
+// MQTT payload that cannot be decrypted - usually a stale encryToken, handled like an expired session
+const MQTT_DECRYPT_ERROR = 'decrypt_error';
+// Objects of removed features (below <vin>), deleted at startup
+const REMOVED_OBJECTS = [
+    'energy',
+    'remote.sentry',
+    'remote.windows.vent',
+    'remote.windows.sunroof',
+    'remote.climatePresets',
+];
+
 class Byd extends utils.Adapter {
     constructor(options) {
         super({
@@ -20,21 +172,53 @@ class Byd extends utils.Adapter {
 
         this.on('ready', this.onReady.bind(this));
         this.on('stateChange', this.onStateChange.bind(this));
+        this.on('message', this.onMessage.bind(this));
         this.on('unload', this.onUnload.bind(this));
 
         this.vehicleArray = [];
         this.json2iob = new Json2iob(this);
-        this.telemetryInterval = null;
-        this.gpsInterval = null;
+        this.telemetryTimeouts = {}; // { vin: timeout }
+        this.gpsTimeouts = {}; // { vin: timeout }
+        this.pollingStopped = false;
+        // Time windows with own intervals or paused polling (pollWindows setting)
+        this.pollWindows = [];
+        this.activePollWindow = null; // label of the current window (for logging)
+        this.lastMqttPush = {}; // { vin: timestamp of the last MQTT vehicleInfo }
+        this.chargingInterval = null;
         this.refreshTimeout = null;
-        this.session = null;
-        this.deviceConfig = bydapi.DEFAULT_DEVICE_CONFIG;
+        this.loginRetryTimeout = null;
+        // Single-flight login: concurrent callers share the in-flight login promise
+        this.loginPromise = null;
+        this.loginFailures = 0; // consecutive failed logins (backoff exponent)
+        this.loginRejections = 0; // consecutive logins rejected by the cloud (wrong credentials)
+        this.loginBlockedUntil = 0;
+        this.lastLoginTime = 0;
+        this.authStopped = false;
+        // Startup finished (vehicle list, MQTT, polling) - may happen late after a login retry
+        this.initialized = false;
+        // BYD cloud transport (session, device fingerprint, HTTP client)
+        this.client = new BydClient();
         // Track unsupported endpoints per VIN to avoid repeated 1001 errors
         this.unsupportedEndpoints = {}; // { vin: Set(['energy', 'hvac', 'charging']) }
+        // Last API error per VIN and endpoint, mirrored to <vin>.info.endpointErrors
+        this.endpointErrors = {}; // { vin: { realtime: { code, category, message, time } } }
         // Cache realtime data for fallback
         this.realtimeCache = {}; // { vin: {...} }
         // Track vehicle active state (driving/charging) for smart GPS polling
         this.vehicleActiveState = {}; // { vin: boolean }
+        // Supported functions per VIN from vehicleFunLearnInfo
+        this.capabilities = {}; // { vin: { known, batteryHeat, windows, ..., features } }
+        // Last seen sentryStatus and event history per VIN, mirrored to <vin>.sentry
+        this.sentryStatus = {}; // { vin: number }
+        this.sentryEvents = {}; // { vin: [{ time, status, state }] }
+        // Climate settings per VIN, used when remote.climate is switched on
+        this.climateSettings = {}; // { vin: { temperature, passengerTemperature, duration, recirculation, fanLevel } }
+        // Last confirmed charging schedule per VIN (for validation and reverting failed writes)
+        this.chargingSchedules = {}; // { vin: { targetSoc, startTime, endTime } }
+        // Track plugged-in state (charging cable connected) for faster charging polling
+        this.vehiclePluggedInState = {}; // { vin: boolean }
+        // Track charging state (actually charging, not only plugged in) for paused polling windows
+        this.vehicleChargingState = {}; // { vin: boolean }
         // Track vehicle online state (T-Box reachable) for sleep/wake protection
         this.vehicleOnlineState = {}; // { vin: boolean }
         // MQTT client for push notifications
@@ -48,43 +232,87 @@ class Byd extends utils.Adapter {
         this.pendingRemoteControls = new Map();
         // MQTT wait timeout in ms (pyBYD uses 8 seconds for commands)
         this.mqttWaitTimeout = 8000;
-
-        const jar = new CookieJar();
-        this.requestClient = wrapper(
-            axios.create({
-                withCredentials: true,
-                timeout: 3 * 60 * 1000,
-                jar,
-            }),
-        );
+        // Trigger -> MQTT wait -> HTTP poll runs, cancelled on unload or when superseded per VIN
+        this.pollEngine = new TriggerPollEngine();
+        // One remote command at a time per VIN, mirrored to remote.queueLength/currentCommand
+        this.commandQueue = new CommandQueue((vin, status) => this.updateQueueStates(vin, status));
+        // Control PIN state (info.pinStatus): ok, wrong, locked, notSetInApp, unverified
+        this.pinStatus = 'unverified';
+        this.pinLockedUntil = 0; // 5006 lock ends at the next local midnight
+        // Allow-list and arm/confirm for unlock, window opening and climate (configured in onReady)
+        this.safetyGuard = new SafetyGuard();
+        this.safetyArmTimeouts = {}; // { vin: timeout } clears remote.safety.armed
+        // Remote command audit log, persisted in info.auditLog
+        this.auditLog = new AuditLog(MAX_AUDIT_ENTRIES);
     }
 
     async onReady() {
         this.setState('info.connection', false, true);
+        this.setState('info.authState', 'loggedOut', true);
 
         if (!this.config.username || !this.config.password) {
             this.log.error('Please set username and password in the instance settings');
             return;
         }
 
+        const region = bydapi.resolveRegion(this.config.region, this.config.countryCode);
+        this.client.baseUrl = bydapi.getRegionBaseUrl(region);
+        this.client.countryCode = this.config.countryCode;
+        this.client.language = this.config.language;
+        this.log.info(`Using BYD cloud region ${bydapi.REGIONS[region].name} (${this.client.baseUrl})`);
+        if (!bydapi.REGIONS[region].verified) {
+            this.log.warn(
+                `The API host of region ${bydapi.REGIONS[region].name} is not confirmed yet - if login fails, select Europe`,
+            );
+        }
+
+        this.safetyGuard = new SafetyGuard({
+            allowList: SafetyGuard.parseAllowList(this.config.safetyAllowList),
+            confirmTimeout: (Number(this.config.safetyConfirmTimeout) || 0) * 1000,
+        });
+
         // Load or generate device fingerprint (persistent across restarts)
         await this.loadOrGenerateDeviceConfig();
 
         this.subscribeStates('*');
 
-        await this.login();
+        // Keep a wrong/locked PIN blocked across restarts unless the PIN setting changed
+        await this.restorePinStatus();
+        await this.restoreAuditLog();
+
+        // Reuse the stored session if still valid, full login otherwise
+        const vehicleList = await this.restoreSession();
+        if (!this.client.session) {
+            await this.login();
+        }
 
-        if (!this.session) {
+        if (!this.client.session) {
+            // Login retry timer continues the startup once a login succeeds
             return;
         }
 
-        await this.getVehicleList();
+        await this.initialize(vehicleList);
+    }
+
+    /**
+     * Startup after the first successful login: vehicle list, PIN check, MQTT, polling
+     *
+     * @param {Array<object>|null} [vehicleList] - Vehicle list already fetched with this session (restored session)
+     */
+    async initialize(vehicleList = null) {
+        this.initialized = true;
+
+        await this.getVehicleList(vehicleList);
 
         // Clean up old subfolder structure from previous versions
         await this.cleanupOldStateStructure();
 
-        // Verify control PIN at startup if configured
-        if (this.config.controlPin && this.vehicleArray.length > 0) {
+        // Verify control PIN at startup if configured (not while wrong/locked - would count as another attempt)
+        await this.refreshPinLock();
+        const pinBlocked = this.getPinBlockReason();
+        if (pinBlocked) {
+            this.log.warn(`Skipping control PIN verification: ${pinBlocked}`);
+        } else if (this.config.controlPin && this.vehicleArray.length > 0) {
             const firstVin = this.vehicleArray[0].vin;
             this.log.info('Verifying control PIN at startup...');
             const result = await this.verifyControlPassword(firstVin);
@@ -117,76 +345,226 @@ class Byd extends utils.Adapter {
      * Pattern: HTTP trigger -> wait for MQTT -> HTTP poll fallback
      */
     startPolling() {
-        const pollInterval = Math.max(30, Math.min(900, this.config.pollInterval || 300));
-        const gpsPollInterval = Math.max(30, Math.min(900, this.config.gpsPollInterval || 300));
+        const { windows, invalid } = pollwindows.parseWindows(this.config.pollWindows);
+        this.pollWindows = windows;
+        for (const row of invalid) {
+            this.log.warn(`Ignoring polling time window ${row.start}-${row.end}: use HH:MM for start and end`);
+        }
+        for (const window of windows) {
+            const profile = window.paused
+                ? 'paused unless charging or woken up by MQTT'
+                : `telemetry ${window.pollInterval || 'default'}s, GPS ${window.gpsPollInterval || 'default'}s`;
+            this.log.info(`Polling time window ${window.label}: ${profile}`);
+        }
 
-        this.log.info(`Telemetry poll interval: ${pollInterval}s, GPS poll interval: ${gpsPollInterval}s`);
-        if (this.config.smartGpsPolling) {
-            this.log.info(
-                `Smart GPS polling enabled: active=${this.config.gpsActiveInterval || 30}s, inactive=${this.config.gpsInactiveInterval || 600}s`,
-            );
+        for (const vehicle of this.vehicleArray) {
+            const vin = vehicle.vin;
+            const config = this.getVehiclePollConfig(vin);
+            if (!config.enabled) {
+                this.log.info(`Polling disabled for ${vin}`);
+                continue;
+            }
+            const gps = config.smartGps
+                ? `smart GPS active=${config.gpsActiveInterval}s, inactive=${config.gpsInactiveInterval}s`
+                : `GPS ${config.gpsPollInterval}s`;
+            this.log.info(`Polling ${vin}: telemetry ${config.pollInterval}s, ${gps}`);
+
+            // Telemetry polling
+            this.scheduleTelemetryPolling(vin);
+
+            // GPS polling (with smart polling support)
+            this.scheduleGpsPolling(vin);
         }
 
-        // Telemetry polling
-        this.telemetryInterval = setInterval(() => {
-            this.pollAllVehiclesRealtime();
-        }, pollInterval * 1000);
+        // Charging status polling (faster while plugged in)
+        this.scheduleChargingPolling();
+    }
 
-        // GPS polling (with smart polling support)
-        this.scheduleGpsPolling();
+    /**
+     * Polling settings of a vehicle: row of the vehiclePolling table, empty cells use the global settings
+     *
+     * @param {string} vin - Vehicle VIN
+     * @returns {{enabled: boolean, pollInterval: number, smartGps: boolean, gpsPollInterval: number, gpsActiveInterval: number, gpsInactiveInterval: number}} Polling settings (seconds)
+     */
+    getVehiclePollConfig(vin) {
+        const rows = Array.isArray(this.config.vehiclePolling) ? this.config.vehiclePolling : [];
+        const row =
+            rows.find(
+                entry =>
+                    String(entry?.vin || '')
+                        .trim()
+                        .toUpperCase() === vin.toUpperCase(),
+            ) || {};
+        // Empty table cells arrive as '' or null
+        const value = (key, fallback) => (row[key] === '' || row[key] == null ? fallback : Number(row[key]));
+        return {
+            enabled: row.enabled !== false,
+            pollInterval: Math.max(30, Math.min(900, value('pollInterval', this.config.pollInterval) || 300)),
+            smartGps: !!this.config.smartGpsPolling,
+            gpsPollInterval: Math.max(30, Math.min(900, value('gpsPollInterval', this.config.gpsPollInterval) || 300)),
+            gpsActiveInterval: Math.max(
+                10,
+                Math.min(300, value('gpsActiveInterval', this.config.gpsActiveInterval) || 30),
+            ),
+            gpsInactiveInterval: Math.max(
+                60,
+                Math.min(3600, value('gpsInactiveInterval', this.config.gpsInactiveInterval) || 600),
+            ),
+        };
     }
 
     /**
-     * Schedule GPS polling with optional smart interval based on vehicle state
+     * Next poll of a vehicle, taking the polling time windows into account
+     *
+     * @param {string} vin - Vehicle VIN
+     * @param {string} kind - telemetry or gps
+     * @returns {{delay: number, skip: boolean, window: any}} Delay in ms, skip = paused by a time window
      */
-    scheduleGpsPolling() {
-        if (this.gpsInterval) {
-            clearInterval(this.gpsInterval);
+    getPollPlan(vin, kind) {
+        const config = this.getVehiclePollConfig(vin);
+        let normal = config.pollInterval;
+        if (kind === 'gps') {
+            normal = config.smartGps
+                ? this.vehicleActiveState[vin] === true
+                    ? config.gpsActiveInterval
+                    : config.gpsInactiveInterval
+                : config.gpsPollInterval;
+        }
+        const window = pollwindows.findActiveWindow(this.pollWindows);
+        // Wake up right after the next window start/end so the new profile applies on time
+        const untilBoundary = pollwindows.msUntilNextBoundary(this.pollWindows) + 1000;
+        if (!window) {
+            return { delay: Math.min(normal * 1000, untilBoundary), skip: false, window: null };
+        }
+        let seconds = normal;
+        let skip = false;
+        if (window.paused) {
+            // Charging or recently woken up (MQTT push) -> poll normally
+            const awake = Date.now() - (this.lastMqttPush[vin] || 0) < QUIET_WAKE_PERIOD;
+            if (!this.vehicleChargingState[vin] && !awake) {
+                seconds = QUIET_RECHECK_INTERVAL;
+                skip = true;
+            }
+        } else {
+            const windowInterval = kind === 'gps' ? window.gpsPollInterval : window.pollInterval;
+            if (windowInterval) {
+                seconds = Math.max(30, Math.min(3600, windowInterval));
+            }
         }
+        return { delay: Math.min(seconds * 1000, untilBoundary), skip, window };
+    }
 
-        let intervalSeconds;
-        if (this.config.smartGpsPolling) {
-            // Check if any vehicle is on
-            const anyVehicleOn = Object.values(this.vehicleActiveState).some(v => v === true);
-            intervalSeconds = anyVehicleOn
-                ? Math.max(10, Math.min(300, this.config.gpsActiveInterval || 30))
-                : Math.max(60, Math.min(3600, this.config.gpsInactiveInterval || 600));
-            this.log.debug(`Smart GPS polling: vehicleOn=${anyVehicleOn}, interval=${intervalSeconds}s`);
-        } else {
-            intervalSeconds = Math.max(30, Math.min(900, this.config.gpsPollInterval || 300));
+    /**
+     * Log entering/leaving a polling time window
+     *
+     * @param {any} window - Active window or null
+     */
+    logPollWindowChange(window) {
+        const label = window ? window.label : null;
+        if (label !== this.activePollWindow) {
+            this.log.info(
+                label ? `Polling time window ${label} started` : `Polling time window ${this.activePollWindow} ended`,
+            );
+            this.activePollWindow = label;
         }
+    }
 
-        this.gpsInterval = setInterval(() => {
-            this.pollAllVehiclesGps();
-            // Re-evaluate interval if smart polling enabled
-            if (this.config.smartGpsPolling) {
-                this.scheduleGpsPolling();
+    /**
+     * Schedule the next telemetry poll of a vehicle
+     *
+     * @param {string} vin - Vehicle VIN
+     */
+    scheduleTelemetryPolling(vin) {
+        this.telemetryTimeouts[vin] && clearTimeout(this.telemetryTimeouts[vin]);
+        if (this.pollingStopped) {
+            return;
+        }
+        const plan = this.getPollPlan(vin, 'telemetry');
+        this.telemetryTimeouts[vin] = setTimeout(async () => {
+            try {
+                const current = this.getPollPlan(vin, 'telemetry');
+                this.logPollWindowChange(current.window);
+                if (current.skip) {
+                    this.log.debug(`Scheduled poll: realtime for ${vin} paused (${current.window.label})`);
+                } else {
+                    this.log.debug(
+                        `Scheduled poll: realtime for ${vin} [${this.vehicleOnlineState[vin] === false ? 'sleeping' : 'online'}]`,
+                    );
+                    await this.pollVehicleRealtimeWithMqtt(vin);
+                }
+            } catch (error) {
+                this.log.error(`Realtime poll failed for ${vin}: ${error.message}`);
+            } finally {
+                // Keep the chain alive, one failed poll must not stop polling of this vehicle
+                this.scheduleTelemetryPolling(vin);
             }
-        }, intervalSeconds * 1000);
+        }, plan.delay);
     }
 
     /**
-     * Poll realtime data for all vehicles using trigger + MQTT wait + HTTP fallback
+     * Schedule the next GPS poll of a vehicle, with smart polling the interval follows its on/off state
+     *
+     * @param {string} vin - Vehicle VIN
      */
-    async pollAllVehiclesRealtime() {
-        const onlineVins = this.vehicleArray
-            .map(v => `${v.vin}=${this.vehicleOnlineState[v.vin] === false ? 'sleeping' : 'online'}`)
-            .join(', ');
-        this.log.debug(`Scheduled poll: realtime for ${this.vehicleArray.length} vehicle(s) [${onlineVins}]`);
-        for (const vehicle of this.vehicleArray) {
-            await this.pollVehicleRealtimeWithMqtt(vehicle.vin);
-            // TEMPORARY: Run SOC comparison after each realtime poll
-            // await this.compareChargingSocWithRealtime(vehicle.vin);
+    scheduleGpsPolling(vin) {
+        this.gpsTimeouts[vin] && clearTimeout(this.gpsTimeouts[vin]);
+        if (this.pollingStopped || !this.getVehiclePollConfig(vin).enabled) {
+            return;
+        }
+        const plan = this.getPollPlan(vin, 'gps');
+        this.log.debug(
+            `GPS polling ${vin}: vehicleOn=${this.vehicleActiveState[vin] === true}, next in ${Math.round(plan.delay / 1000)}s`,
+        );
+        this.gpsTimeouts[vin] = setTimeout(async () => {
+            try {
+                const current = this.getPollPlan(vin, 'gps');
+                if (current.skip) {
+                    this.log.debug(`Scheduled poll: GPS for ${vin} paused (${current.window.label})`);
+                } else {
+                    this.log.debug(`Scheduled poll: GPS for ${vin}`);
+                    await this.pollGpsWithMqtt(vin);
+                }
+            } catch (error) {
+                this.log.error(`GPS poll failed for ${vin}: ${error.message}`);
+            } finally {
+                this.scheduleGpsPolling(vin);
+            }
+        }, plan.delay);
+    }
+
+    /**
+     * Schedule charging status polling, faster interval while any vehicle is plugged in
+     */
+    scheduleChargingPolling() {
+        if (this.chargingInterval) {
+            clearInterval(this.chargingInterval);
+            this.chargingInterval = null;
+        }
+        if (!this.config.chargingPollInterval) {
+            return;
         }
+
+        const anyPluggedIn = Object.values(this.vehiclePluggedInState).some(v => v === true);
+        const intervalSeconds = anyPluggedIn
+            ? Math.max(30, Math.min(900, this.config.chargingPluggedInterval || 60))
+            : Math.max(60, Math.min(3600, this.config.chargingPollInterval));
+        this.log.debug(`Charging polling: pluggedIn=${anyPluggedIn}, interval=${intervalSeconds}s`);
+
+        this.chargingInterval = setInterval(() => {
+            this.pollAllVehiclesCharging();
+        }, intervalSeconds * 1000);
     }
 
     /**
-     * Poll GPS data for all vehicles
+     * Fetch charging status for all vehicles
      */
-    async pollAllVehiclesGps() {
-        this.log.debug(`Scheduled poll: GPS for ${this.vehicleArray.length} vehicle(s)`);
+    async pollAllVehiclesCharging() {
+        this.log.debug(`Scheduled poll: charging for ${this.vehicleArray.length} vehicle(s)`);
         for (const vehicle of this.vehicleArray) {
-            await this.pollGpsWithMqtt(vehicle.vin);
+            if (!this.getVehiclePollConfig(vehicle.vin).enabled) {
+                continue;
+            }
+            await this.fetchChargingStatus(vehicle.vin);
         }
     }
 
@@ -199,159 +577,102 @@ class Byd extends utils.Adapter {
      * @param {string} vin - Vehicle identification number
      */
     async pollVehicleRealtimeWithMqtt(vin) {
-        if (!this.session) {
+        if (!this.client.session) {
             return;
         }
 
-        // Step 1: Trigger request (cheap cloud call, does not wake T-Box)
-        const triggerReq = bydapi.buildVehicleRealtimeRequest(
-            this.session,
-            this.config.countryCode,
-            this.config.language,
-            this.deviceConfig,
-            vin,
-        );
-
-        let requestSerial = null;
-
+        let result;
         try {
-            const res = await this.requestClient({
-                method: 'post',
-                url: `${bydapi.BASE_URL}/vehicleInfo/vehicle/vehicleRealTimeRequest`,
-                headers: {
-                    'User-Agent': bydapi.USER_AGENT,
-                    'Content-Type': 'application/json; charset=UTF-8',
+            result = await this.pollEngine.run(`${vin}.realtime`, {
+                ...POLL_PROFILES.realtime,
+                // Trigger is a cheap cloud call and does not wake the T-Box
+                trigger: () => this.client.requestRealtime(vin),
+                // Sleeping vehicle: trigger response is final, skip MQTT wait and poll-loop
+                acceptTrigger: data => bydapi.isRealtimeDataReady(data) || Number(data.onlineState) === 2,
+                waitForPush: (requestSerial, signal, timeoutMs) =>
+                    this.waitForMqttData(vin, requestSerial, 'vehicleInfo', signal, timeoutMs),
+                poll: requestSerial => this.client.getRealtimeResult(vin, requestSerial),
+                isReady: bydapi.isRealtimeDataReady,
+                onPollError: error => {
+                    this.recordError(vin, 'realtime', error);
+                    if (!(error instanceof BydApiError)) {
+                        this.log.error(`Realtime poll error for ${vin}: ${error.message}`);
+                    }
                 },
-                data: { request: bydapi.encodeEnvelope(triggerReq.outer) },
             });
-
-            const decoded = bydapi.decodeEnvelope(res.data);
-            if (decoded.code === '0' && decoded.respondData) {
-                const data = bydapi.decryptResponseData(decoded.respondData, triggerReq.contentKey);
-                requestSerial = data.requestSerial || null;
-
-                // If trigger response already has data, use it
-                if (bydapi.isRealtimeDataReady(data)) {
-                    this.log.debug(`Realtime data ready from trigger for ${vin}`);
-                    this.processRealtimeData(vin, data);
-                    return;
-                }
-
-                // Vehicle offline: update state from trigger response, skip poll-loop
-                if (Number(data.onlineState) === 2) {
-                    this.log.info(`Vehicle ${vin} is sleeping (onlineState=2) - skipping MQTT wait and poll-loop`);
-                    this.processRealtimeData(vin, data);
-                    return;
-                }
-            } else if (bydapi.isSessionExpired(decoded.code)) {
-                this.log.warn(`Session expired during realtime trigger for ${vin} (code=${decoded.code})`);
-                await this.handleSessionExpired(decoded.code, 'realtimeTrigger');
-                return;
-            } else if (decoded.code !== '0') {
+        } catch (error) {
+            this.recordError(vin, 'realtime', error);
+            if (error instanceof BydAuthError) {
+                this.log.warn(`Session expired during realtime trigger for ${vin} (code=${error.code})`);
+                await this.handleSessionExpired(error.code, 'realtimeTrigger');
+            } else if (error instanceof BydApiError) {
                 this.log.warn(
-                    `Realtime trigger failed for ${vin}: code=${decoded.code}, message=${decoded.message || 'unknown'}`,
+                    `Realtime trigger failed for ${vin}: code=${error.code}, message=${error.apiMessage || 'unknown'}`,
                 );
-                return;
+            } else {
+                this.log.error(`Realtime trigger error for ${vin}: ${error.message}`);
             }
-        } catch (error) {
-            this.log.error(`Realtime trigger error for ${vin}: ${error.message}`);
             return;
         }
 
-        if (!requestSerial) {
-            this.log.warn(`No requestSerial from realtime trigger for ${vin}`);
-            return;
-        }
-
-        // Step 2: Wait for MQTT vehicleInfo event
-        if (this.mqttClient?.connected) {
-            this.log.debug(`Waiting for MQTT vehicleInfo for ${vin} (serial: ${requestSerial})`);
-            const mqttData = await this.waitForMqttVehicleInfo(vin, requestSerial);
-            if (mqttData) {
-                this.log.debug(`Realtime data received via MQTT for ${vin}`);
-                this.processRealtimeData(vin, mqttData);
-                return;
+        if (result.status === 'ready') {
+            if (result.source === 'trigger' && Number(result.data.onlineState) === 2) {
+                this.log.info(`Vehicle ${vin} is sleeping (onlineState=2) - skipping MQTT wait and poll-loop`);
+            } else {
+                this.log.debug(
+                    `Realtime data ready via ${result.source} for ${vin} (poll attempts: ${result.attempts})`,
+                );
             }
-            this.log.debug(`MQTT timeout for ${vin}, falling back to HTTP polling`);
+            this.processRealtimeData(vin, result.data);
+        } else if (result.status === 'noSerial') {
+            this.log.warn(`No requestSerial from realtime trigger for ${vin}`);
+        } else if (result.status === 'cancelled') {
+            this.log.debug(`Realtime poll for ${vin} cancelled (${result.reason})`);
+        } else {
+            this.log.warn(`Realtime data not ready after ${result.attempts} poll attempts for ${vin}`);
         }
-
-        // Step 3: HTTP poll fallback
-        await this.pollRealtimeHttpFallback(vin, requestSerial, triggerReq.contentKey);
     }
 
     /**
-     * Wait for MQTT vehicleInfo event with timeout
+     * Wait for an MQTT push (vehicleInfo or gps) matching a trigger requestSerial.
+     * Resolves null on timeout, when MQTT is not connected or when the run is cancelled.
      *
      * @param {string} vin - Vehicle identification number
      * @param {string} requestSerial - Request serial from trigger response
+     * @param {string} type - Waiter type: 'vehicleInfo' or 'gps'
+     * @param {AbortSignal} signal - Abort signal of the poll run
+     * @param {number} timeoutMs - Remaining time budget of the poll run
+     * @returns {Promise<object|null>} MQTT respondData or null
      */
-    waitForMqttVehicleInfo(vin, requestSerial) {
+    waitForMqttData(vin, requestSerial, type, signal, timeoutMs) {
+        if (!this.mqttClient?.connected) {
+            return Promise.resolve(null);
+        }
+        this.log.debug(`Waiting for MQTT ${type} for ${vin} (serial: ${requestSerial})`);
+
         return new Promise(resolve => {
-            const timeout = setTimeout(() => {
+            const finish = data => {
+                clearTimeout(timeout);
+                signal.removeEventListener('abort', onAbort);
                 this.pendingMqttWaiters.delete(requestSerial);
-                resolve(null);
-            }, this.mqttWaitTimeout);
+                if (!data) {
+                    this.log.debug(`MQTT timeout for ${type} ${vin}, falling back to HTTP polling`);
+                }
+                resolve(data);
+            };
+            const onAbort = () => finish(null);
+            const timeout = setTimeout(() => finish(null), Math.min(this.mqttWaitTimeout, Math.max(0, timeoutMs)));
+            signal.addEventListener('abort', onAbort, { once: true });
 
             this.pendingMqttWaiters.set(requestSerial, {
-                resolve: data => {
-                    clearTimeout(timeout);
-                    this.pendingMqttWaiters.delete(requestSerial);
-                    resolve(data);
-                },
+                resolve: finish,
                 vin,
-                type: 'vehicleInfo',
+                type,
                 timestamp: Date.now(),
             });
         });
     }
 
-    /**
-     * HTTP polling fallback for realtime data
-     *
-     * @param {string} vin - Vehicle identification number
-     * @param {string} requestSerial - Request serial from trigger response
-     * @param {string} contentKey - AES content key for decryption
-     */
-    async pollRealtimeHttpFallback(vin, requestSerial, contentKey) {
-        for (let attempt = 0; attempt < 10; attempt++) {
-            await this.sleep(1500);
-
-            const pollReq = bydapi.buildVehicleRealtimeRequest(
-                this.session,
-                this.config.countryCode,
-                this.config.language,
-                this.deviceConfig,
-                vin,
-                requestSerial,
-            );
-
-            try {
-                const res = await this.requestClient({
-                    method: 'post',
-                    url: `${bydapi.BASE_URL}/vehicleInfo/vehicle/vehicleRealTimeResult`,
-                    headers: {
-                        'User-Agent': bydapi.USER_AGENT,
-                        'Content-Type': 'application/json; charset=UTF-8',
-                    },
-                    data: { request: bydapi.encodeEnvelope(pollReq.outer) },
-                });
-
-                const decoded = bydapi.decodeEnvelope(res.data);
-                if (decoded.code === '0' && decoded.respondData) {
-                    const data = bydapi.decryptResponseData(decoded.respondData, pollReq.contentKey || contentKey);
-                    if (bydapi.isRealtimeDataReady(data)) {
-                        this.log.debug(`Realtime data ready via HTTP poll for ${vin} (attempt ${attempt + 1})`);
-                        this.processRealtimeData(vin, data);
-                        return;
-                    }
-                }
-            } catch (error) {
-                this.log.error(`Realtime poll error for ${vin}: ${error.message}`);
-            }
-        }
-        this.log.warn(`Realtime data not ready after 10 poll attempts for ${vin}`);
-    }
-
     /**
      * Process realtime data - update cache and states
      *
@@ -381,10 +702,15 @@ class Byd extends utils.Adapter {
                 ` [engine=${data.engineStatus}, speed=${data.speed}, vehicleState=${data.vehicleState}, chargeState=${data.chargeState}]`,
         );
 
+        if (data.chargeState !== undefined) {
+            this.updatePluggedInState(vin, data.chargeState === 1 || data.chargeState === 15);
+            this.vehicleChargingState[vin] = data.chargeState === 1;
+        }
+
         // Re-schedule GPS if vehicle state changed and smart polling enabled
         if (this.config.smartGpsPolling && wasActive !== isActive) {
             this.log.debug(`Vehicle ${vin} active state changed: ${wasActive} -> ${isActive}, rescheduling GPS`);
-            this.scheduleGpsPolling();
+            this.scheduleGpsPolling(vin);
         }
 
         // Parse into ioBroker states
@@ -403,7 +729,7 @@ class Byd extends utils.Adapter {
             this.log.debug(`Status leftFrontDoorLock=${data.leftFrontDoorLock} -> remote.lock=${isLocked}`);
             this.setStateAsync(`${vin}.remote.lock`, isLocked, true);
         }
-        if (data.batteryHeatState !== undefined) {
+        if (data.batteryHeatState !== undefined && this.hasCapability(vin, 'batteryHeat')) {
             const isOn = data.batteryHeatState > 0;
             this.log.debug(`Status batteryHeatState=${data.batteryHeatState} -> remote.batteryHeat=${isOn}`);
             this.setStateAsync(`${vin}.remote.batteryHeat`, isOn, true);
@@ -413,6 +739,15 @@ class Byd extends utils.Adapter {
             this.log.debug(`Status mainSeatHeatState=${data.mainSeatHeatState} -> remote.seatHeat=${isOn}`);
             this.setStateAsync(`${vin}.remote.seatHeat`, isOn, true);
         }
+        for (const [field, key] of Object.entries(WINDOW_STATES)) {
+            if (data[field] !== undefined) {
+                this.setStateAsync(`${vin}.remote.windows.${key}`, data[field] === 2, true);
+            }
+        }
+        if (data.sentryStatus !== undefined && Number(data.sentryStatus) >= 0) {
+            this.recordSentryStatus(vin, Number(data.sentryStatus));
+        }
+        this.mirrorSeatClimate(vin, data);
     }
 
     /**
@@ -437,13 +772,36 @@ class Byd extends utils.Adapter {
         return false;
     }
 
+    /**
+     * Update plugged-in state and reschedule charging polling on change
+     *
+     * @param {string} vin - Vehicle identification number
+     * @param {boolean} isPluggedIn - True if the charging cable is connected
+     */
+    updatePluggedInState(vin, isPluggedIn) {
+        const wasPluggedIn = this.vehiclePluggedInState[vin];
+        this.vehiclePluggedInState[vin] = isPluggedIn;
+        if (wasPluggedIn !== isPluggedIn) {
+            this.log.debug(`Vehicle ${vin} plugged in state changed: ${wasPluggedIn} -> ${isPluggedIn}`);
+            // Only reschedule once polling is running (not during the initial fetch)
+            if (this.chargingInterval) {
+                this.scheduleChargingPolling();
+            }
+        }
+    }
+
     /**
      * Poll GPS with MQTT-first pattern
      *
      * @param {string} vin - Vehicle identification number
      */
     async pollGpsWithMqtt(vin) {
-        if (!this.session) {
+        if (!this.client.session) {
+            return;
+        }
+
+        if (!this.hasCapability(vin, 'gps')) {
+            this.log.debug(`Skipping GPS for ${vin} - not supported (gpsLearnInfo)`);
             return;
         }
 
@@ -453,146 +811,47 @@ class Byd extends utils.Adapter {
             return;
         }
 
-        // Trigger GPS request
-        const triggerReq = bydapi.buildGpsInfoRequest(
-            this.session,
-            this.config.countryCode,
-            this.config.language,
-            this.deviceConfig,
-            vin,
-        );
-
-        let requestSerial = null;
-
+        let result;
         try {
-            const res = await this.requestClient({
-                method: 'post',
-                url: `${bydapi.BASE_URL}/control/getGpsInfo`,
-                headers: {
-                    'User-Agent': bydapi.USER_AGENT,
-                    'Content-Type': 'application/json; charset=UTF-8',
+            result = await this.pollEngine.run(`${vin}.gps`, {
+                ...POLL_PROFILES.gps,
+                trigger: () => this.client.requestGpsInfo(vin),
+                waitForPush: (requestSerial, signal, timeoutMs) =>
+                    this.waitForMqttData(vin, requestSerial, 'gps', signal, timeoutMs),
+                poll: requestSerial => this.client.getGpsInfoResult(vin, requestSerial),
+                isReady: bydapi.isGpsDataReady,
+                onPollError: error => {
+                    this.recordError(vin, 'gps', error);
+                    if (!(error instanceof BydApiError)) {
+                        this.log.error(`GPS poll error for ${vin}: ${error.message}`);
+                    }
                 },
-                data: { request: bydapi.encodeEnvelope(triggerReq.outer) },
             });
-
-            const decoded = bydapi.decodeEnvelope(res.data);
-            if (decoded.code === '0' && decoded.respondData) {
-                const data = bydapi.decryptResponseData(decoded.respondData, triggerReq.contentKey);
-                requestSerial = data.requestSerial || null;
-
-                // Check if GPS data is already ready in trigger response
-                if (bydapi.isGpsDataReady(data)) {
-                    this.log.debug(`GPS data ready from trigger for ${vin}`);
-                    this.processGpsData(vin, data);
-                    return;
-                }
-            } else if (bydapi.isSessionExpired(decoded.code)) {
-                this.log.warn(`Session expired during GPS trigger for ${vin} (code=${decoded.code})`);
-                await this.handleSessionExpired(decoded.code, 'gpsTrigger');
-                return;
-            } else if (decoded.code !== '0') {
+        } catch (error) {
+            this.recordError(vin, 'gps', error);
+            if (error instanceof BydAuthError) {
+                this.log.warn(`Session expired during GPS trigger for ${vin} (code=${error.code})`);
+                await this.handleSessionExpired(error.code, 'gpsTrigger');
+            } else if (error instanceof BydApiError) {
                 this.log.warn(
-                    `GPS trigger failed for ${vin}: code=${decoded.code}, message=${decoded.message || 'unknown'}`,
+                    `GPS trigger failed for ${vin}: code=${error.code}, message=${error.apiMessage || 'unknown'}`,
                 );
-                return;
+            } else {
+                this.log.error(`GPS trigger error for ${vin}: ${error.message}`);
             }
-        } catch (error) {
-            this.log.error(`GPS trigger error for ${vin}: ${error.message}`);
             return;
         }
 
-        if (!requestSerial) {
+        if (result.status === 'ready') {
+            this.log.debug(`GPS data ready via ${result.source} for ${vin} (poll attempts: ${result.attempts})`);
+            this.processGpsData(vin, result.data);
+        } else if (result.status === 'noSerial') {
             this.log.warn(`No requestSerial from GPS trigger for ${vin}`);
-            return;
-        }
-
-        // Wait for MQTT or fall back to HTTP
-        if (this.mqttClient?.connected) {
-            this.log.debug(`Waiting for MQTT GPS for ${vin} (serial: ${requestSerial})`);
-            const mqttData = await this.waitForMqttGps(vin, requestSerial);
-            if (mqttData) {
-                this.log.debug(`GPS data received via MQTT for ${vin}`);
-                this.processGpsData(vin, mqttData);
-                return;
-            }
-            this.log.debug(`MQTT timeout for GPS ${vin}, falling back to HTTP polling`);
-        }
-
-        // HTTP poll fallback
-        await this.pollGpsHttpFallback(vin, requestSerial, triggerReq.contentKey);
-    }
-
-    /**
-     * Wait for MQTT GPS event with timeout
-     *
-     * @param {string} vin - Vehicle identification number
-     * @param {string} requestSerial - Request serial from trigger response
-     */
-    waitForMqttGps(vin, requestSerial) {
-        return new Promise(resolve => {
-            const timeout = setTimeout(() => {
-                this.pendingMqttWaiters.delete(requestSerial);
-                resolve(null);
-            }, this.mqttWaitTimeout);
-
-            this.pendingMqttWaiters.set(requestSerial, {
-                resolve: data => {
-                    clearTimeout(timeout);
-                    this.pendingMqttWaiters.delete(requestSerial);
-                    resolve(data);
-                },
-                vin,
-                type: 'gps',
-                timestamp: Date.now(),
-            });
-        });
-    }
-
-    /**
-     * HTTP polling fallback for GPS data
-     *
-     * @param {string} vin - Vehicle identification number
-     * @param {string} requestSerial - Request serial from trigger response
-     * @param {string} contentKey - AES content key for decryption
-     */
-    async pollGpsHttpFallback(vin, requestSerial, contentKey) {
-        for (let attempt = 0; attempt < 10; attempt++) {
-            await this.sleep(1500);
-
-            const pollReq = bydapi.buildGpsInfoRequest(
-                this.session,
-                this.config.countryCode,
-                this.config.language,
-                this.deviceConfig,
-                vin,
-                requestSerial,
-            );
-
-            try {
-                const res = await this.requestClient({
-                    method: 'post',
-                    url: `${bydapi.BASE_URL}/control/getGpsInfoResult`,
-                    headers: {
-                        'User-Agent': bydapi.USER_AGENT,
-                        'Content-Type': 'application/json; charset=UTF-8',
-                    },
-                    data: { request: bydapi.encodeEnvelope(pollReq.outer) },
-                });
-
-                const decoded = bydapi.decodeEnvelope(res.data);
-                if (decoded.code === '0' && decoded.respondData) {
-                    const data = bydapi.decryptResponseData(decoded.respondData, pollReq.contentKey || contentKey);
-                    if (bydapi.isGpsDataReady(data)) {
-                        this.log.debug(`GPS data ready via HTTP poll for ${vin} (attempt ${attempt + 1})`);
-                        this.processGpsData(vin, data);
-                        return;
-                    }
-                }
-            } catch (error) {
-                this.log.error(`GPS poll error for ${vin}: ${error.message}`);
-            }
+        } else if (result.status === 'cancelled') {
+            this.log.debug(`GPS poll for ${vin} cancelled (${result.reason})`);
+        } else {
+            this.log.warn(`GPS data not ready after ${result.attempts} poll attempts for ${vin}`);
         }
-        this.log.warn(`GPS data not ready after 10 poll attempts for ${vin}`);
     }
 
     /**
@@ -617,6 +876,7 @@ class Byd extends utils.Adapter {
      * Clean up old subfolder structure from previous versions.
      * Deletes: status.charging, status.gps, status.hvac, status.energy, status.mqtt
      * All data now goes directly into status.*
+     * Also deletes objects of removed features (REMOVED_OBJECTS).
      */
     async cleanupOldStateStructure() {
         const oldSubfolders = ['charging', 'gps', 'hvac', 'energy', 'mqtt'];
@@ -632,6 +892,13 @@ class Byd extends utils.Adapter {
                     // Object doesn't exist, ignore
                 }
             }
+            for (const relativeId of REMOVED_OBJECTS) {
+                const objectId = `${vin}.${relativeId}`;
+                if (await this.getObjectAsync(objectId)) {
+                    await this.delObjectAsync(objectId, { recursive: true });
+                    this.log.info(`Deleted object of removed feature: ${objectId}`);
+                }
+            }
         }
     }
 
@@ -670,97 +937,303 @@ class Byd extends utils.Adapter {
         }
 
         // Add dynamic app fields (version, timezone etc.) - not persisted
-        this.deviceConfig = devicegen.addAppFields(fingerprint);
+        this.client.deviceConfig = devicegen.addAppFields(fingerprint);
     }
 
-    async login() {
-        const { outer } = bydapi.buildLoginRequest(
-            this.config.username,
-            this.config.password,
-            this.config.countryCode,
-            this.config.language,
-            this.deviceConfig,
-        );
-
-        const envelope = bydapi.encodeEnvelope(outer);
-
-        await this.requestClient({
-            method: 'post',
-            url: `${bydapi.BASE_URL}/app/account/login`,
-            headers: {
-                'User-Agent': bydapi.USER_AGENT,
-                'Content-Type': 'application/json; charset=UTF-8',
-            },
-            data: { request: envelope },
-        })
-            .then(async res => {
-                // this.log.debug(`Login response: ${JSON.stringify(res.data)}`);
-                const decoded = bydapi.decodeEnvelope(res.data);
-                this.log.debug(`Decoded login: ${JSON.stringify(decoded)}`);
-
-                if (decoded.code !== '0') {
-                    this.log.error(`Login failed: code=${decoded.code} message=${decoded.message || ''}`);
-                    return;
-                }
-
-                const loginKey = bydapi.pwdLoginKey(this.config.password);
-                const loginData = bydapi.decryptResponseData(decoded.respondData, loginKey);
-                const token = loginData.token || {};
+    /**
+     * Load the stored session and validate it with a vehicle list call.
+     * Leaves client.session empty if there is no usable session.
+     *
+     * @returns {Promise<Array<object>|null>} Vehicle list of the validation call, null if not validated
+     */
+    async restoreSession() {
+        const sessionState = await this.getStateAsync('info.session');
+        if (!sessionState || !sessionState.val || typeof sessionState.val !== 'string') {
+            return null;
+        }
 
-                this.session = {
-                    userId: token.userId,
-                    signToken: token.signToken,
-                    encryToken: token.encryToken,
-                };
+        let stored;
+        try {
+            stored = JSON.parse(this.decrypt(sessionState.val));
+        } catch {
+            this.log.warn('Failed to read stored session, logging in');
+            return null;
+        }
+        // Session belongs to another account (username changed in settings)
+        if (!stored?.session || stored.username !== this.config.username) {
+            this.log.debug('Stored session does not match the configured account');
+            return null;
+        }
 
-                this.log.info('Login successful');
-                this.log.debug(`DEBUG login: session set, userId=${this.session.userId}`);
-                this.setState('info.connection', true, true);
-            })
-            .catch(error => {
-                this.log.error(`Login error: ${error.message}`);
-                error.response && this.log.error(JSON.stringify(error.response.data));
-            });
+        this.client.session = stored.session;
+        try {
+            const vehicleList = await this.client.getVehicleList();
+            this.log.info('Reusing stored session');
+            // Validated just now - counts as a fresh login for the session expiry grace period
+            this.lastLoginTime = Date.now();
+            this.setState('info.connection', true, true);
+            this.setState('info.authState', 'authenticated', true);
+            return vehicleList;
+        } catch (error) {
+            if (error instanceof BydAuthError) {
+                this.log.info(`Stored session expired (code=${error.code}), logging in`);
+                this.client.session = null;
+                return null;
+            }
+            // Keep the session on network errors - a fresh login would fail the same way
+            this.log.warn(`Could not validate stored session: ${error.message}`);
+            return null;
+        }
     }
 
-    async getVehicleList() {
-        if (!this.session) {
+    /**
+     * Restore the control PIN state stored in info.pinLock.
+     * A changed PIN in the settings resets the state to unverified.
+     */
+    async restorePinStatus() {
+        const pinState = await this.getStateAsync('info.pinLock');
+        let stored = null;
+        if (pinState && pinState.val && typeof pinState.val === 'string') {
+            try {
+                stored = JSON.parse(this.decrypt(pinState.val));
+            } catch {
+                this.log.debug('Failed to read stored PIN state');
+            }
+        }
+        if (!stored || stored.pinHash !== this.hashControlPin()) {
+            await this.setPinStatus('unverified');
             return;
         }
+        if (stored.status === 'wrong') {
+            this.log.warn('Control PIN was rejected (5005) - remote commands stay blocked until the PIN is changed');
+            await this.setPinStatus('wrong');
+        } else if (stored.status === 'locked' && Date.now() < stored.lockedUntil) {
+            this.log.warn(`Control PIN is locked until ${new Date(stored.lockedUntil).toLocaleString()}`);
+            await this.setPinStatus('locked', stored.lockedUntil);
+        } else {
+            await this.setPinStatus(stored.status === 'ok' ? 'ok' : 'unverified');
+        }
+    }
 
-        const { outer, contentKey } = bydapi.buildVehicleListRequest(
-            this.session,
-            this.config.countryCode,
-            this.config.language,
-            this.deviceConfig,
-        );
-
-        const envelope = bydapi.encodeEnvelope(outer);
-
-        await this.requestClient({
-            method: 'post',
-            url: `${bydapi.BASE_URL}/app/account/getAllListByUserId`,
-            headers: {
-                'User-Agent': bydapi.USER_AGENT,
-                'Content-Type': 'application/json; charset=UTF-8',
+    /**
+     * Update info.pinStatus and store it (with the PIN it belongs to) encrypted in info.pinLock
+     *
+     * @param {string} status - ok, wrong, locked, notSetInApp or unverified
+     * @param {number} [lockedUntil] - End of the 5006 lock (timestamp)
+     */
+    async setPinStatus(status, lockedUntil = 0) {
+        this.pinStatus = status;
+        this.pinLockedUntil = lockedUntil;
+        this.setState('info.pinStatus', status, true);
+        await this.setObjectNotExistsAsync('info.pinLock', {
+            type: 'state',
+            common: {
+                name: 'Control PIN state (encrypted)',
+                type: 'string',
+                role: 'state',
+                read: true,
+                write: false,
             },
-            data: { request: envelope },
-        })
-            .then(async res => {
-                // this.log.debug(`Vehicle list response: ${JSON.stringify(res.data)}`);
-                const decoded = bydapi.decodeEnvelope(res.data);
-
-                if (decoded.code !== '0') {
-                    if (await this.handleSessionExpired(decoded.code, 'getVehicleList')) {
-                        this.log.info('Session restored, vehicle list will refresh on next cycle');
-                    } else if (!bydapi.isSessionExpired(decoded.code)) {
-                        this.log.error(`Vehicle list failed: code=${decoded.code}`);
-                    }
-                    return;
-                }
-
-                const data = bydapi.decryptResponseData(decoded.respondData, contentKey);
-                this.log.debug(`Vehicle list: ${JSON.stringify(data)}`);
+            native: {},
+        });
+        const stored = { pinHash: this.hashControlPin(), status, lockedUntil };
+        await this.setStateAsync('info.pinLock', this.encrypt(JSON.stringify(stored)), true);
+    }
+
+    /**
+     * SHA-256 of the configured control PIN - info.pinLock only needs to detect a changed PIN, not the PIN itself
+     *
+     * @returns {string} Hex digest
+     */
+    hashControlPin() {
+        return crypto
+            .createHash('sha256')
+            .update(this.config.controlPin || '')
+            .digest('hex');
+    }
+
+    /**
+     * Reset an expired 5006 lock to unverified, call before getPinBlockReason
+     */
+    async refreshPinLock() {
+        if (this.pinStatus === 'locked' && Date.now() >= this.pinLockedUntil) {
+            this.log.info('Control PIN lock expired');
+            await this.setPinStatus('unverified');
+        }
+    }
+
+    /**
+     * Reason why the control PIN must not be sent, null if it can be used
+     *
+     * @returns {string|null} Block reason
+     */
+    getPinBlockReason() {
+        if (this.pinStatus === 'wrong') {
+            return 'Control PIN was rejected (5005) - change the PIN in the adapter settings';
+        }
+        if (this.pinStatus === 'locked' && Date.now() < this.pinLockedUntil) {
+            return `Control PIN locked (5006) until ${new Date(this.pinLockedUntil).toLocaleString()}`;
+        }
+        return null;
+    }
+
+    /**
+     * Update the PIN state after a PIN related response (5005 wrong, 5006 locked, 5011 not set in app)
+     *
+     * @param {any} error - Error of a PIN verification or remote command
+     */
+    async handlePinError(error) {
+        const code = String(error.code);
+        if (code === '5005') {
+            this.log.error('Control PIN rejected - no further commands are sent until the PIN setting is changed');
+            await this.setPinStatus('wrong');
+        } else if (code === '5006') {
+            // Locked for the rest of the day
+            const midnight = new Date();
+            midnight.setHours(24, 0, 0, 0);
+            this.log.error(`Control PIN locked - no further commands are sent until ${midnight.toLocaleString()}`);
+            await this.setPinStatus('locked', midnight.getTime());
+        } else if (bydapi.isNoPinSetError(code)) {
+            await this.setPinStatus('notSetInApp');
+        }
+    }
+
+    /**
+     * Store the current session tokens encrypted in info.session
+     */
+    async storeSession() {
+        if (!this.client.session) {
+            return;
+        }
+        await this.setObjectNotExistsAsync('info.session', {
+            type: 'state',
+            common: {
+                name: 'Session (encrypted)',
+                type: 'string',
+                role: 'state',
+                read: true,
+                write: false,
+            },
+            native: {},
+        });
+        const stored = { username: this.config.username, session: this.client.session, time: Date.now() };
+        await this.setStateAsync('info.session', this.encrypt(JSON.stringify(stored)), true);
+    }
+
+    /**
+     * Log in, shared by all concurrent callers.
+     * Returns immediately without a session while in backoff or after repeated credential rejections.
+     *
+     * @returns {Promise<void>}
+     */
+    login() {
+        if (this.loginPromise) {
+            this.log.debug('Login already in progress - waiting for it');
+            return this.loginPromise;
+        }
+        if (this.authStopped) {
+            this.log.debug('Login skipped - stopped after repeated credential rejections');
+            return Promise.resolve();
+        }
+        const wait = this.loginBlockedUntil - Date.now();
+        if (wait > 0) {
+            this.log.debug(`Login skipped - backoff for ${Math.ceil(wait / 1000)}s`);
+            return Promise.resolve();
+        }
+
+        this.setState('info.authState', 'loggingIn', true);
+        this.loginPromise = this.performLogin().finally(() => {
+            this.loginPromise = null;
+        });
+        return this.loginPromise;
+    }
+
+    /**
+     * Handle a failed login: stop after repeated rejections, otherwise schedule a retry with backoff
+     *
+     * @param {any} error - Login error
+     */
+    handleLoginFailure(error) {
+        this.loginFailures++;
+        // Only credential rejections count - rate limits, offline and session codes are retried
+        if (error instanceof BydAuthError && !bydapi.isSessionExpired(error.code)) {
+            this.loginRejections++;
+        }
+
+        if (this.loginRejections >= MAX_LOGIN_REJECTIONS) {
+            this.authStopped = true;
+            this.setState('info.authState', 'stopped', true);
+            this.log.error(
+                `Login rejected ${this.loginRejections} times - check username and password in the instance settings. No further login attempts until the adapter is restarted.`,
+            );
+            return;
+        }
+
+        const delay = Math.min(LOGIN_BACKOFF.max, LOGIN_BACKOFF.base * 2 ** (this.loginFailures - 1));
+        this.loginBlockedUntil = Date.now() + delay;
+        this.setState('info.authState', 'backoff', true);
+        this.log.warn(`Login failed (${this.loginFailures}x) - next attempt in ${Math.round(delay / 1000)}s`);
+
+        this.loginRetryTimeout && clearTimeout(this.loginRetryTimeout);
+        this.loginRetryTimeout = setTimeout(async () => {
+            this.loginRetryTimeout = null;
+            if (this.client.session) {
+                return;
+            }
+            await this.login();
+            if (!this.client.session) {
+                return;
+            }
+            if (this.initialized) {
+                this.reconnectMqtt();
+            } else {
+                await this.initialize();
+            }
+        }, delay);
+    }
+
+    /**
+     * Password login, use login() to get single-flight and backoff handling
+     */
+    async performLogin() {
+        await this.client
+            .login(this.config.username, this.config.password)
+            .then(async () => {
+                this.loginFailures = 0;
+                this.loginRejections = 0;
+                this.loginBlockedUntil = 0;
+                this.lastLoginTime = Date.now();
+                this.setState('info.authState', 'authenticated', true);
+                this.log.info('Login successful');
+                this.log.debug(`DEBUG login: session set, userId=${this.client.session?.userId}`);
+                this.setState('info.connection', true, true);
+                await this.storeSession();
+            })
+            .catch(error => {
+                if (error instanceof BydApiError) {
+                    this.log.error(`Login failed: code=${error.code} message=${error.apiMessage}`);
+                } else {
+                    this.log.error(`Login error: ${error.message}`);
+                    error.response && this.log.error(JSON.stringify(error.response.data));
+                }
+                this.handleLoginFailure(error);
+            });
+    }
+
+    /**
+     * Create the vehicle objects from the vehicle list
+     *
+     * @param {Array<object>|null} [vehicleList] - Already fetched list, fetched from the cloud if empty
+     */
+    async getVehicleList(vehicleList = null) {
+        if (!this.client.session) {
+            return;
+        }
+
+        // Reuse a list fetched with the current session (session validation at startup)
+        await (vehicleList ? Promise.resolve(vehicleList) : this.client.getVehicleList())
+            .then(async data => {
+                this.log.debug(`Vehicle list: ${JSON.stringify(data)}`);
 
                 // Sample: [{
                 //   "vin": "LGXXXXXXXXXXX00000", "autoAlias": "BYD SEALION 7", "autoPlate": "AB123CD",
@@ -787,14 +1260,9 @@ class Byd extends utils.Adapter {
 
                     this.vehicleArray.push(vehicle);
 
-                    // Device name: Model + Plate (e.g. "BYD SEALION 7 - KO591ET")
-                    const modelName = vehicle.modelName || vehicle.autoAlias || 'BYD';
-                    const plate = vehicle.autoPlate || '';
-                    const deviceName = plate ? `${modelName} - ${plate}` : modelName;
-
                     await this.extendObject(vin, {
                         type: 'device',
-                        common: { name: deviceName },
+                        common: { name: this.getDeviceName(vehicle) },
                         native: {},
                     });
 
@@ -818,12 +1286,39 @@ class Byd extends utils.Adapter {
                         autoBoughtTime: vehicle.autoBoughtTime,
                         yunActiveTime: vehicle.yunActiveTime,
                     };
-                    this.json2iob.parse(`${vin}.general`, generalData, {
+                    await this.json2iob.parse(`${vin}.general`, generalData, {
                         forceIndex: true,
                         descriptions,
                         states,
                     });
 
+                    // autoAlias is writable - renames the vehicle in the BYD cloud
+                    await this.extendObject(`${vin}.general.autoAlias`, {
+                        type: 'state',
+                        common: { type: 'string', role: 'text', write: true },
+                        native: {},
+                    });
+
+                    // Capability map - remote states are only created for supported functions
+                    const capabilities = bydapi.parseCapabilities(vehicle);
+                    this.capabilities[vin] = capabilities;
+                    this.log.debug(`Capabilities for ${vin}: ${JSON.stringify(capabilities)}`);
+                    await this.extendObject(`${vin}.general.capabilities`, {
+                        type: 'state',
+                        common: {
+                            name: 'Supported functions',
+                            type: 'string',
+                            role: 'json',
+                            read: true,
+                            write: false,
+                        },
+                        native: {},
+                    });
+                    this.setState(`${vin}.general.capabilities`, JSON.stringify(capabilities), true);
+
+                    // Channel: info - last API error of this vehicle
+                    await this.createVehicleInfoStates(vin);
+
                     // Channel: status - realtime data from API/MQTT
                     await this.setObjectNotExistsAsync(`${vin}.status`, {
                         type: 'channel',
@@ -850,6 +1345,10 @@ class Byd extends utils.Adapter {
                     ];
 
                     for (const remote of remoteArray) {
+                        if (!this.hasRemoteCapability(vin, remote.command)) {
+                            await this.removeUnsupportedObject(`${vin}.remote.${remote.command}`);
+                            continue;
+                        }
                         this.extendObject(`${vin}.remote.${remote.command}`, {
                             type: 'state',
                             common: {
@@ -864,26 +1363,787 @@ class Byd extends utils.Adapter {
                             native: {},
                         });
                     }
+
+                    await this.createRemoteStatusStates(vin);
+                    await this.createSafetyStates(vin);
+                    await this.createSentryStates(vin);
+                    await this.createWindowStates(vin);
+                    await this.extendObject(`${vin}.remote.rawCommand`, {
+                        type: 'state',
+                        common: {
+                            name: 'Raw remote command {"commandType": "...", "controlParams": {...}}',
+                            type: 'string',
+                            role: 'json',
+                            read: true,
+                            write: true,
+                        },
+                        native: {},
+                    });
+                    if (this.hasCapability(vin, 'smartCharging')) {
+                        await this.createSmartChargingStates(vin);
+                    } else {
+                        await this.removeUnsupportedObject(`${vin}.remote.smartCharging`);
+                        await this.removeUnsupportedObject(`${vin}.remote.chargingSchedule`);
+                    }
+                    await this.createClimateSettingsStates(vin);
+                    await this.createSeatClimateStates(vin);
                 }
             })
-            .catch(error => {
+            .catch(async error => {
+                if (error instanceof BydApiError) {
+                    if (await this.handleSessionExpired(error.code, 'getVehicleList')) {
+                        this.log.info('Session restored, vehicle list will refresh on next cycle');
+                    } else if (!bydapi.isSessionExpired(error.code)) {
+                        this.log.error(`Vehicle list failed: code=${error.code}`);
+                    }
+                    return;
+                }
                 this.log.error(`Vehicle list error: ${error.message}`);
                 error.response && this.log.error(JSON.stringify(error.response.data));
             });
     }
 
+    /**
+     * Create remote command queue and result states under <vin>.remote
+     *
+     * @param {string} vin - Vehicle VIN
+     */
+    async createRemoteStatusStates(vin) {
+        await this.extendObject(`${vin}.remote.lastCommand`, {
+            type: 'state',
+            common: { name: 'Last remote command', type: 'string', role: 'text', read: true, write: false },
+            native: {},
+        });
+        await this.extendObject(`${vin}.remote.lastResult`, {
+            type: 'state',
+            common: {
+                name: 'Result of the last remote command',
+                type: 'string',
+                role: 'text',
+                read: true,
+                write: false,
+                states: {
+                    success: 'Success',
+                    failure: 'Failure',
+                    timeout: 'Timeout',
+                    cancelled: 'Cancelled',
+                    rejected: 'Rejected',
+                },
+            },
+            native: {},
+        });
+        await this.extendObject(`${vin}.remote.lastMessage`, {
+            type: 'state',
+            common: {
+                name: 'Message of the last remote command',
+                type: 'string',
+                role: 'text',
+                read: true,
+                write: false,
+            },
+            native: {},
+        });
+        await this.extendObject(`${vin}.remote.lastSource`, {
+            type: 'state',
+            common: {
+                name: 'Result source of the last remote command',
+                type: 'string',
+                role: 'text',
+                read: true,
+                write: false,
+                states: { mqtt: 'MQTT', http: 'HTTP', dryRun: 'Dry run (not sent)' },
+            },
+            native: {},
+        });
+        await this.extendObject(`${vin}.remote.lastDuration`, {
+            type: 'state',
+            common: {
+                name: 'Duration of the last remote command',
+                type: 'number',
+                role: 'value.interval',
+                unit: 'ms',
+                read: true,
+                write: false,
+            },
+            native: {},
+        });
+        await this.extendObject(`${vin}.remote.queueLength`, {
+            type: 'state',
+            common: { name: 'Queued remote commands', type: 'number', role: 'value', read: true, write: false },
+            native: {},
+        });
+        await this.extendObject(`${vin}.remote.currentCommand`, {
+            type: 'state',
+            common: { name: 'Remote command in progress', type: 'string', role: 'text', read: true, write: false },
+            native: {},
+        });
+        await this.extendObject(`${vin}.remote.cancelQueue`, {
+            type: 'state',
+            common: {
+                name: 'Cancel queued remote commands',
+                type: 'boolean',
+                role: 'button',
+                def: false,
+                read: true,
+                write: true,
+            },
+            native: {},
+        });
+        this.updateQueueStates(vin, this.commandQueue.getStatus(vin));
+    }
+
+    /**
+     * Create remote.safety states: armed command and last rejection
+     *
+     * @param {string} vin - Vehicle VIN
+     */
+    async createSafetyStates(vin) {
+        await this.setObjectNotExistsAsync(`${vin}.remote.safety`, {
+            type: 'channel',
+            common: { name: 'Safety checks for unlock, windows and climate' },
+            native: {},
+        });
+        await this.extendObject(`${vin}.remote.safety.armed`, {
+            type: 'state',
+            common: {
+                name: 'Command waiting for confirmation',
+                type: 'string',
+                role: 'text',
+                read: true,
+                write: false,
+            },
+            native: {},
+        });
+        await this.extendObject(`${vin}.remote.safety.lastRejection`, {
+            type: 'state',
+            common: {
+                name: 'Reason of the last rejected command',
+                type: 'string',
+                role: 'text',
+                read: true,
+                write: false,
+            },
+            native: {},
+        });
+        this.setState(`${vin}.remote.safety.armed`, '', true);
+    }
+
+    /**
+     * Safety category of a remote write (null if not safety-critical or the category is disabled)
+     *
+     * @param {string} subPath - Path below <vin>.remote (lock, climate, rawCommand, ...)
+     * @param {any} val - Written value (boolean for toggles, JSON for rawCommand)
+     * @returns {string|null} unlock, windows or climate
+     */
+    getSafetyCategory(subPath, val) {
+        let commandType = null;
+        if (subPath === 'lock' && !val) {
+            commandType = 'OPENDOOR';
+        } else if (subPath === 'climate' && val) {
+            commandType = 'OPENAIR';
+        } else if (subPath === 'rawCommand') {
+            try {
+                commandType = (typeof val === 'string' ? JSON.parse(val) : val)?.commandType;
+            } catch {
+                // Invalid JSON is rejected by sendRawCommand
+            }
+        }
+        const category = SAFETY_COMMAND_TYPES[commandType] || null;
+        const enabled = {
+            unlock: this.config.safetyUnlock !== false,
+            windows: this.config.safetyWindows !== false,
+            climate: this.config.safetyClimate !== false,
+        };
+        return category && enabled[category] ? category : null;
+    }
+
+    /**
+     * Run the safety checks for a critical command.
+     * Rejected and armed commands are written to remote.last* and remote.safety.*.
+     *
+     * @param {string} vin - Vehicle VIN
+     * @param {string} subPath - Path below <vin>.remote
+     * @param {any} val - Written value
+     * @param {{from?: string, user?: string}} source - Writer of the state / sender of the message
+     * @returns {{allowed: boolean, error?: string}} allowed = execute the command
+     */
+    checkSafety(vin, subPath, val, source) {
+        const check = this.safetyGuard.check(`${vin}.${subPath}`, val, source);
+        if (check.status === 'allowed') {
+            if (this.safetyArmTimeouts[vin]) {
+                clearTimeout(this.safetyArmTimeouts[vin]);
+                delete this.safetyArmTimeouts[vin];
+                this.setState(`${vin}.remote.safety.armed`, '', true);
+            }
+            return { allowed: true };
+        }
+        if (check.status === 'armed') {
+            const remaining = (check.until || 0) - Date.now();
+            const seconds = Math.round(remaining / 1000);
+            const message = `${subPath} armed - write the same value again within ${seconds} s to confirm`;
+            this.log.info(`${vin}: ${message}`);
+            this.setState(`${vin}.remote.safety.armed`, subPath, true);
+            this.safetyArmTimeouts[vin] && clearTimeout(this.safetyArmTimeouts[vin]);
+            this.safetyArmTimeouts[vin] = setTimeout(() => {
+                delete this.safetyArmTimeouts[vin];
+                this.setState(`${vin}.remote.safety.armed`, '', true);
+            }, remaining);
+            this.writeRemoteResult(vin, subPath, { success: false, error: message, rejected: true }, 0, {
+                params: { value: val },
+                origin: source,
+            });
+            return { allowed: false, error: message };
+        }
+        const reason = `${subPath} rejected: ${check.reason}`;
+        this.log.warn(`${vin}: ${reason}`);
+        this.setState(`${vin}.remote.safety.lastRejection`, reason, true);
+        this.writeRemoteResult(vin, subPath, { success: false, error: reason, rejected: true }, 0, {
+            params: { value: val },
+            origin: source,
+        });
+        return { allowed: false, error: reason };
+    }
+
+    /**
+     * Mirror the command queue of a VIN into remote.queueLength/currentCommand
+     *
+     * @param {string} vin - Vehicle VIN
+     * @param {{length: number, current: string|null}} status - Queue status
+     */
+    updateQueueStates(vin, status) {
+        this.setState(`${vin}.remote.queueLength`, status.length, true);
+        this.setState(`${vin}.remote.currentCommand`, status.current || '', true);
+    }
+
+    /**
+     * Check a capability of a vehicle (unknown vehicles/capabilities count as supported)
+     *
+     * @param {string} vin - Vehicle VIN
+     * @param {string} capability - Capability key (batteryHeat, windows, smartCharging, ...)
+     * @returns {boolean} True if supported
+     */
+    hasCapability(vin, capability) {
+        return this.capabilities[vin]?.[capability] !== false;
+    }
+
+    /**
+     * Check if a remote state is supported by the vehicle
+     *
+     * @param {string} vin - Vehicle VIN
+     * @param {string} remotePath - Path below <vin>.remote (e.g. batteryHeat, chargingSchedule)
+     * @returns {boolean} True if supported
+     */
+    hasRemoteCapability(vin, remotePath) {
+        const capability = REMOTE_CAPABILITIES[remotePath] || REMOTE_CAPABILITIES[remotePath.split('.')[0]];
+        return !capability || this.hasCapability(vin, capability);
+    }
+
+    /**
+     * Delete a remote state/channel created by an earlier version for an unsupported function
+     *
+     * @param {string} id - Object ID (without namespace)
+     */
+    async removeUnsupportedObject(id) {
+        const obj = await this.getObjectAsync(id);
+        if (obj) {
+            this.log.info(`Removing ${id} - not supported by this vehicle`);
+            await this.delObjectAsync(id, { recursive: true });
+        }
+    }
+
+    /**
+     * Create <vin>.remote.windows: open indicators per window and the sunroof
+     *
+     * @param {string} vin - Vehicle VIN
+     */
+    async createWindowStates(vin) {
+        await this.setObjectNotExistsAsync(`${vin}.remote.windows`, {
+            type: 'channel',
+            common: { name: 'Windows and sunroof' },
+            native: {},
+        });
+        const indicators = {
+            leftFront: 'Left front window open',
+            rightFront: 'Right front window open',
+            leftRear: 'Left rear window open',
+            rightRear: 'Right rear window open',
+            sunroofOpen: 'Sunroof open',
+        };
+        for (const [key, name] of Object.entries(indicators)) {
+            await this.extendObject(`${vin}.remote.windows.${key}`, {
+                type: 'state',
+                common: { name, type: 'boolean', role: 'sensor.window', read: true, write: false },
+                native: {},
+            });
+        }
+    }
+
+    /**
+     * Create <vin>.sentry event log states and load the stored history
+     *
+     * @param {string} vin - Vehicle VIN
+     */
+    async createSentryStates(vin) {
+        await this.setObjectNotExistsAsync(`${vin}.sentry`, {
+            type: 'channel',
+            common: { name: 'Sentry mode events' },
+            native: {},
+        });
+        await this.extendObject(`${vin}.sentry.events`, {
+            type: 'state',
+            common: {
+                name: `Last ${MAX_SENTRY_EVENTS} sentry mode changes (newest first)`,
+                type: 'string',
+                role: 'json',
+                read: true,
+                write: false,
+            },
+            native: {},
+        });
+        await this.extendObject(`${vin}.sentry.lastEvent`, {
+            type: 'state',
+            common: {
+                name: 'Last sentry mode change',
+                type: 'string',
+                role: 'text',
+                read: true,
+                write: false,
+                states: { off: 'Deactivated', on: 'Activated' },
+            },
+            native: {},
+        });
+        await this.extendObject(`${vin}.sentry.lastEventTime`, {
+            type: 'state',
+            common: {
+                name: 'Time of the last sentry mode change',
+                type: 'number',
+                role: 'value.time',
+                read: true,
+                write: false,
+            },
+            native: {},
+        });
+
+        // Continue the stored history - changes while the adapter was stopped are logged on the first poll
+        let events = [];
+        const stored = await this.getStateAsync(`${vin}.sentry.events`);
+        if (stored && typeof stored.val === 'string' && stored.val) {
+            try {
+                events = JSON.parse(stored.val);
+            } catch {
+                events = [];
+            }
+        }
+        this.sentryEvents[vin] = Array.isArray(events) ? events : [];
+        if (this.sentryEvents[vin].length > 0) {
+            this.sentryStatus[vin] = this.sentryEvents[vin][0].status;
+        }
+    }
+
+    /**
+     * Log a sentryStatus change to <vin>.sentry
+     *
+     * @param {string} vin - Vehicle VIN
+     * @param {number} status - sentryStatus from realtime data
+     */
+    recordSentryStatus(vin, status) {
+        const previous = this.sentryStatus[vin];
+        this.sentryStatus[vin] = status;
+        // First value without history is the baseline, not a change
+        if (previous === undefined || previous === status) {
+            return;
+        }
+
+        const event = { time: Date.now(), status, state: SENTRY_STATES[status] || String(status) };
+        this.log.info(`Sentry mode for ${vin}: ${SENTRY_STATES[previous] || previous} -> ${event.state}`);
+        const events = [event, ...(this.sentryEvents[vin] || [])].slice(0, MAX_SENTRY_EVENTS);
+        this.sentryEvents[vin] = events;
+        this.setState(`${vin}.sentry.events`, JSON.stringify(events), true);
+        this.setState(`${vin}.sentry.lastEvent`, event.state, true);
+        this.setState(`${vin}.sentry.lastEventTime`, event.time, true);
+    }
+
+    /**
+     * Create writable climate settings under <vin>.remote.climateSettings
+     *
+     * @param {string} vin - Vehicle VIN
+     */
+    async createClimateSettingsStates(vin) {
+        await this.setObjectNotExistsAsync(`${vin}.remote.climateSettings`, {
+            type: 'channel',
+            common: { name: 'Climate settings (used when climate is switched on)' },
+            native: {},
+        });
+        const settings = {};
+        for (const [key, common] of Object.entries(CLIMATE_SETTINGS)) {
+            const id = `${vin}.remote.climateSettings.${key}`;
+            await this.extendObject(id, {
+                type: 'state',
+                common: { ...common, type: common.type === 'boolean' ? 'boolean' : 'number', read: true, write: true },
+                native: {},
+            });
+            // Keep the stored value if valid, otherwise start with the default
+            const stored = await this.getStateAsync(id);
+            const checked = stored ? this.validateClimateSetting(key, stored.val) : {};
+            settings[key] = checked.error || checked.value === undefined ? common.def : checked.value;
+            if (!stored || stored.val !== settings[key] || !stored.ack) {
+                await this.setStateAsync(id, settings[key], true);
+            }
+        }
+        this.climateSettings[vin] = settings;
+    }
+
+    /**
+     * Validate a written climate setting
+     *
+     * @param {string} key - Setting key (see CLIMATE_SETTINGS)
+     * @param {any} val - Written value
+     * @returns {{value?: any, error?: string}} Normalized value or error
+     */
+    validateClimateSetting(key, val) {
+        const setting = CLIMATE_SETTINGS[key];
+        if (setting.type === 'boolean') {
+            return { value: !!val };
+        }
+        const num = Number(val);
+        if (val === null || val === '' || !Number.isFinite(num)) {
+            return { error: `${key} must be a number (got ${val})` };
+        }
+        if (key === 'duration') {
+            return CLIMATE_DURATIONS[num] ? { value: num } : { error: 'duration must be 10, 15, 20, 25 or 30 minutes' };
+        }
+        if (num < setting.min || num > setting.max) {
+            return { error: `${key} must be between ${setting.min} and ${setting.max} (got ${num})` };
+        }
+        return { value: Math.round(num) };
+    }
+
+    /**
+     * Build OPENAIR params from <vin>.remote.climateSettings
+     *
+     * @param {string} vin - Vehicle VIN
+     * @returns {object} controlParamsMap
+     */
+    getClimateParams(vin) {
+        const defaults = Object.fromEntries(Object.entries(CLIMATE_SETTINGS).map(([key, c]) => [key, c.def]));
+        const settings = { ...defaults, ...this.climateSettings[vin] };
+        this.log.debug(`Climate settings for ${vin}: ${JSON.stringify(settings)}`);
+        return bydapi.buildClimateParams({
+            tempC: settings.temperature,
+            copilotTempC: settings.passengerTemperature,
+            timeSpan: CLIMATE_DURATIONS[settings.duration],
+            cycleMode: settings.recirculation ? 1 : 2,
+            windLevel: settings.fanLevel || null,
+            airConditioningMode: 1,
+        });
+    }
+
+    /**
+     * Create per-seat heating/ventilation levels and steering wheel switch under <vin>.remote.seatClimate
+     *
+     * @param {string} vin - Vehicle VIN
+     */
+    async createSeatClimateStates(vin) {
+        await this.setObjectNotExistsAsync(`${vin}.remote.seatClimate`, {
+            type: 'channel',
+            common: { name: 'Seat and steering wheel climate' },
+            native: {},
+        });
+        for (const [key, seat] of Object.entries(SEAT_CLIMATE)) {
+            if (!this.hasRemoteCapability(vin, `seatClimate.${key}`)) {
+                await this.removeUnsupportedObject(`${vin}.remote.seatClimate.${key}`);
+                continue;
+            }
+            const common = { name: seat.name, read: true, write: true };
+            await this.extendObject(`${vin}.remote.seatClimate.${key}`, {
+                type: 'state',
+                common: seat.boolean
+                    ? { ...common, type: 'boolean', role: 'switch' }
+                    : { ...common, type: 'number', role: 'level', min: 0, max: 3, states: states.seatHeatVentState },
+                native: {},
+            });
+        }
+    }
+
+    /**
+     * Current seat climate levels from realtime data, as buildSeatClimateParams options
+     *
+     * @param {string} vin - Vehicle VIN
+     * @returns {object} Options for buildSeatClimateParams
+     */
+    getSeatClimateLevels(vin) {
+        const realtime = this.realtimeCache[vin] || {};
+        const levels = {};
+        for (const seat of Object.values(SEAT_CLIMATE)) {
+            // -1 / missing = unknown, send as off
+            const level = Number(realtime[seat.status]);
+            levels[seat.param] = seat.boolean ? (level > 0 ? 1 : 0) : Math.max(0, Math.min(3, level || 0));
+        }
+        return levels;
+    }
+
+    /**
+     * Mirror seat climate levels from realtime data into <vin>.remote.seatClimate
+     *
+     * @param {string} vin - Vehicle VIN
+     * @param {object} data - Realtime data
+     */
+    mirrorSeatClimate(vin, data) {
+        for (const [key, seat] of Object.entries(SEAT_CLIMATE)) {
+            const level = Number(data[seat.status]);
+            if (data[seat.status] === undefined || isNaN(level) || level < 0) {
+                continue;
+            }
+            if (!this.hasRemoteCapability(vin, `seatClimate.${key}`)) {
+                continue;
+            }
+            this.setState(`${vin}.remote.seatClimate.${key}`, seat.boolean ? level > 0 : level, true);
+        }
+    }
+
+    /**
+     * Create writable smart charging switch and schedule states under <vin>.remote
+     *
+     * @param {string} vin - Vehicle VIN
+     */
+    async createSmartChargingStates(vin) {
+        await this.extendObject(`${vin}.remote.smartCharging`, {
+            type: 'state',
+            common: {
+                name: 'Smart Charging true = on, false = off',
+                type: 'boolean',
+                role: 'switch',
+                write: true,
+                read: true,
+            },
+            native: {},
+        });
+        await this.setObjectNotExistsAsync(`${vin}.remote.chargingSchedule`, {
+            type: 'channel',
+            common: { name: 'Smart charging schedule (saving enables smart charging)' },
+            native: {},
+        });
+        await this.extendObject(`${vin}.remote.chargingSchedule.targetSoc`, {
+            type: 'state',
+            common: {
+                name: 'Target SOC',
+                type: 'number',
+                role: 'level.battery',
+                unit: '%',
+                min: 0,
+                max: 100,
+                write: true,
+                read: true,
+            },
+            native: {},
+        });
+        await this.extendObject(`${vin}.remote.chargingSchedule.startTime`, {
+            type: 'state',
+            common: { name: 'Start time (HH:MM)', type: 'string', role: 'text', write: true, read: true },
+            native: {},
+        });
+        await this.extendObject(`${vin}.remote.chargingSchedule.endTime`, {
+            type: 'state',
+            common: { name: 'End time (HH:MM)', type: 'string', role: 'text', write: true, read: true },
+            native: {},
+        });
+
+        // Seed the schedule cache from the stored states, refreshed by every charging poll
+        const schedule = {};
+        for (const key of ['targetSoc', 'startTime', 'endTime']) {
+            const stored = await this.getStateAsync(`${vin}.remote.chargingSchedule.${key}`);
+            schedule[key] = stored && stored.ack ? stored.val : null;
+        }
+        this.chargingSchedules[vin] = schedule;
+    }
+
+    /**
+     * Mirror smart charging switch and schedule from the charging home page into <vin>.remote
+     *
+     * @param {string} vin - Vehicle VIN
+     * @param {object} data - Decrypted /control/smartCharge/homePage response
+     */
+    async syncSmartChargingStates(vin, data) {
+        // Schedule uses the same field names as saveOrUpdate
+        const dto = data.smartChargeDto || {};
+        const schedule = this.chargingSchedules[vin] || (this.chargingSchedules[vin] = {});
+        const switchValue = dto.smartChargeSwitch ?? data.smartChargeState;
+        if (switchValue !== undefined && switchValue !== null) {
+            await this.setStateAsync(`${vin}.remote.smartCharging`, Number(switchValue) === 1, true);
+        }
+        const targetSoc = parseInt(dto.targetSoc, 10);
+        if (!isNaN(targetSoc)) {
+            schedule.targetSoc = targetSoc;
+            await this.setStateAsync(`${vin}.remote.chargingSchedule.targetSoc`, targetSoc, true);
+        }
+        const startTime = this.formatScheduleTime(dto.startHour, dto.startMinute);
+        if (startTime) {
+            schedule.startTime = startTime;
+            await this.setStateAsync(`${vin}.remote.chargingSchedule.startTime`, startTime, true);
+        }
+        const endTime = this.formatScheduleTime(dto.endHour, dto.endMinute);
+        if (endTime) {
+            schedule.endTime = endTime;
+            await this.setStateAsync(`${vin}.remote.chargingSchedule.endTime`, endTime, true);
+        }
+    }
+
+    /**
+     * Format hour/minute from the API as HH:MM
+     *
+     * @param {any} hour - Hour (0-23)
+     * @param {any} minute - Minute (0-59)
+     * @returns {string|null} HH:MM or null if not set
+     */
+    formatScheduleTime(hour, minute) {
+        const h = parseInt(hour, 10);
+        const m = parseInt(minute, 10);
+        if (isNaN(h) || isNaN(m)) {
+            return null;
+        }
+        return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+    }
+
+    /**
+     * Parse HH:MM
+     *
+     * @param {any} value - Time string
+     * @returns {{hour: number, minute: number}|null} Parsed time or null if invalid
+     */
+    parseScheduleTime(value) {
+        const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(value ?? '').trim());
+        if (!match) {
+            return null;
+        }
+        return { hour: parseInt(match[1], 10), minute: parseInt(match[2], 10) };
+    }
+
+    /**
+     * Handle a write to <vin>.remote.chargingSchedule.*
+     * Saves the complete schedule (other values from the last confirmed schedule, defaults if unknown), acks on success,
+     * resets the state to the last confirmed value on failure.
+     *
+     * @param {string} vin - Vehicle VIN
+     * @param {string} id - Full state ID
+     * @param {string} key - targetSoc, startTime or endTime
+     * @param {any} val - Written value
+     */
+    async handleChargingScheduleChange(vin, id, key, val) {
+        const schedule = this.chargingSchedules[vin] || (this.chargingSchedules[vin] = {});
+        const revert = async reason => {
+            this.log.error(`Charging schedule not saved for ${vin}: ${reason}`);
+            await this.setStateAsync(id, schedule[key] ?? null, true);
+        };
+
+        const current = { [key]: val };
+        for (const field of Object.keys(CHARGING_SCHEDULE_DEFAULTS)) {
+            if (field === key) {
+                continue;
+            }
+            const confirmed = schedule[field];
+            if (confirmed === undefined || confirmed === null || confirmed === '') {
+                this.log.info(
+                    `Charging schedule ${field} unknown for ${vin}, using ${CHARGING_SCHEDULE_DEFAULTS[field]}`,
+                );
+                current[field] = CHARGING_SCHEDULE_DEFAULTS[field];
+            } else {
+                current[field] = confirmed;
+            }
+        }
+
+        const targetSoc = Number(current.targetSoc);
+        if (current.targetSoc === null || current.targetSoc === '' || !Number.isInteger(targetSoc)) {
+            await revert(`targetSoc must be an integer (got ${current.targetSoc})`);
+            return;
+        }
+        if (targetSoc < 0 || targetSoc > 100) {
+            await revert(`targetSoc must be between 0 and 100 (got ${targetSoc})`);
+            return;
+        }
+        const start = this.parseScheduleTime(current.startTime);
+        if (!start) {
+            await revert(`startTime must be HH:MM (got ${current.startTime})`);
+            return;
+        }
+        const end = this.parseScheduleTime(current.endTime);
+        if (!end) {
+            await revert(`endTime must be HH:MM (got ${current.endTime})`);
+            return;
+        }
+
+        const result = await this.saveChargingSchedule(vin, targetSoc, start.hour, start.minute, end.hour, end.minute);
+        if (!result.success) {
+            await revert(result.error);
+            return;
+        }
+        schedule.targetSoc = targetSoc;
+        schedule.startTime = this.formatScheduleTime(start.hour, start.minute);
+        schedule.endTime = this.formatScheduleTime(end.hour, end.minute);
+        await this.setStateAsync(id, schedule[key], true);
+        // Read back what the cloud stored
+        await this.fetchChargingStatus(vin);
+    }
+
+    /**
+     * Device name: Alias + Plate (e.g. "BYD SEALION 7 - KO591ET")
+     *
+     * @param {object} vehicle - Vehicle from the vehicle list
+     * @returns {string} Device name
+     */
+    getDeviceName(vehicle) {
+        const name = vehicle.autoAlias || vehicle.modelName || 'BYD';
+        const plate = vehicle.autoPlate || '';
+        return plate ? `${name} - ${plate}` : name;
+    }
+
+    /**
+     * Rename vehicle in the BYD cloud and update the device name
+     *
+     * @param {string} vin - Vehicle VIN
+     * @param {string} newName - New vehicle alias
+     * @returns {Promise<{success: boolean, error?: string}>} Rename result
+     */
+    async renameVehicle(vin, newName) {
+        if (!this.client.session) {
+            return { success: false, error: 'No session' };
+        }
+
+        try {
+            await this.client.renameVehicle(vin, newName);
+        } catch (error) {
+            this.recordError(vin, 'rename', error);
+            if (error instanceof BydAuthError) {
+                await this.handleSessionExpired(error.code, 'rename');
+            }
+            this.log.error(`Rename vehicle failed: ${error.message}`);
+            return { success: false, error: error.message };
+        }
+
+        this.log.info(`Vehicle ${vin} renamed to "${newName}"`);
+        const vehicle = this.vehicleArray.find(v => v.vin === vin);
+        if (vehicle) {
+            vehicle.autoAlias = newName;
+            await this.extendObject(vin, { common: { name: this.getDeviceName(vehicle) } });
+        }
+        return { success: true };
+    }
+
     async updateVehicles() {
         // Check session before starting updates
-        if (!this.session) {
+        if (!this.client.session) {
             this.log.warn('No session - attempting re-login before vehicle update');
             await this.login();
-            if (!this.session) {
+            if (!this.client.session) {
                 this.log.error('Re-login failed, skipping vehicle update');
                 return;
             }
         }
 
         for (const vehicle of this.vehicleArray) {
+            if (!this.getVehiclePollConfig(vehicle.vin).enabled) {
+                this.log.debug(`Skipping update of ${vehicle.vin} - polling disabled`);
+                continue;
+            }
             await this.updateSingleVehicle(vehicle.vin);
         }
     }
@@ -894,38 +2154,138 @@ class Byd extends utils.Adapter {
      * @param {string} vin - Vehicle VIN (also used as object ID)
      */
     async updateSingleVehicle(vin) {
-        this.log.debug(`DEBUG updateSingleVehicle: vin=${vin}, session=${this.session ? 'exists' : 'null'}`);
-        if (!this.session) {
+        this.log.debug(`DEBUG updateSingleVehicle: vin=${vin}, session=${this.client.session ? 'exists' : 'null'}`);
+        if (!this.client.session) {
             this.log.warn('No session for vehicle update');
             return;
         }
 
-        await this.pollVehicleRealtime(vin);
-        await this.pollGpsInfo(vin);
+        await this.pollVehicleRealtimeWithMqtt(vin);
+        await this.pollGpsWithMqtt(vin);
+        await this.fetchChargingStatus(vin);
         await this.getVehicleStatusEndpoints(vin);
     }
 
+    /**
+     * Create <vin>.info states for the last API error
+     *
+     * @param {string} vin - Vehicle VIN
+     */
+    async createVehicleInfoStates(vin) {
+        await this.setObjectNotExistsAsync(`${vin}.info`, {
+            type: 'channel',
+            common: { name: 'Information' },
+            native: {},
+        });
+
+        const stateCommon = { type: 'string', role: 'text', read: true, write: false };
+        await this.extendObject(`${vin}.info.lastError`, {
+            type: 'state',
+            common: { ...stateCommon, type: 'string', name: 'Last error message' },
+            native: {},
+        });
+        await this.extendObject(`${vin}.info.lastErrorCode`, {
+            type: 'state',
+            common: { ...stateCommon, type: 'string', name: 'Last error code' },
+            native: {},
+        });
+        await this.extendObject(`${vin}.info.lastErrorCategory`, {
+            type: 'state',
+            common: {
+                ...stateCommon,
+                type: 'string',
+                name: 'Last error category',
+                states: Object.fromEntries(Object.values(ERROR_CATEGORIES).map(c => [c, c])),
+            },
+            native: {},
+        });
+        await this.extendObject(`${vin}.info.lastErrorEndpoint`, {
+            type: 'state',
+            common: { ...stateCommon, type: 'string', name: 'Endpoint of the last error' },
+            native: {},
+        });
+        await this.extendObject(`${vin}.info.lastErrorTime`, {
+            type: 'state',
+            common: { ...stateCommon, type: 'number', role: 'value.time', name: 'Time of the last error' },
+            native: {},
+        });
+        await this.extendObject(`${vin}.info.endpointErrors`, {
+            type: 'state',
+            common: { ...stateCommon, type: 'string', role: 'json', name: 'Last error per endpoint' },
+            native: {},
+        });
+
+        // Keep errors of previous runs in the per-endpoint map
+        const stored = await this.getStateAsync(`${vin}.info.endpointErrors`);
+        if (stored && typeof stored.val === 'string' && stored.val) {
+            try {
+                this.endpointErrors[vin] = JSON.parse(stored.val);
+            } catch {
+                this.endpointErrors[vin] = {};
+            }
+        }
+    }
+
+    /**
+     * Write an error to <vin>.info.lastError* and the per-endpoint map
+     *
+     * @param {string} vin - Vehicle VIN
+     * @param {string} endpoint - Endpoint name (realtime, gps, hvac, remoteControl, ...)
+     * @param {any} error - Caught error, non-BydErrors are stored as transport errors
+     */
+    recordError(vin, endpoint, error) {
+        const err = BydError.from(error, endpoint);
+        const time = Date.now();
+
+        if (!this.endpointErrors[vin]) {
+            this.endpointErrors[vin] = {};
+        }
+        this.endpointErrors[vin][endpoint] = {
+            code: err.code,
+            category: err.category,
+            message: err.message,
+            time,
+        };
+
+        this.setState(`${vin}.info.lastError`, err.message, true);
+        this.setState(`${vin}.info.lastErrorCode`, err.code, true);
+        this.setState(`${vin}.info.lastErrorCategory`, err.category, true);
+        this.setState(`${vin}.info.lastErrorEndpoint`, endpoint, true);
+        this.setState(`${vin}.info.lastErrorTime`, time, true);
+        this.setState(`${vin}.info.endpointErrors`, JSON.stringify(this.endpointErrors[vin]), true);
+    }
+
     /**
      * Handle session expired error - re-login and return true if successful
      *
-     * @param {string} code - API error code
+     * @param {string} code - API error code or MQTT_DECRYPT_ERROR
      * @param {string} context - Context description for logging
      * @returns {Promise<boolean>} - True if re-login succeeded
      */
     async handleSessionExpired(code, context) {
-        if (!bydapi.isSessionExpired(code)) {
+        if (!bydapi.isSessionExpired(code) && code !== MQTT_DECRYPT_ERROR) {
             return false;
         }
+        // Another caller is already re-authenticating, or just did
+        if (this.loginPromise) {
+            this.log.debug(`Session expired (code=${code}) in ${context} - waiting for running login`);
+            await this.loginPromise;
+            return !!this.client.session;
+        }
+        if (this.client.session && Date.now() - this.lastLoginTime < LOGIN_GRACE_PERIOD) {
+            this.log.debug(`Session expired (code=${code}) in ${context} - session was just renewed`);
+            return true;
+        }
         this.log.warn(`Session expired (code=${code}) in ${context} - re-authenticating`);
         this.log.debug(`DEBUG: Setting session=null in handleSessionExpired (code=${code}, context=${context})`);
-        this.session = null;
+        this.client.session = null;
         this.setState('info.connection', false, true);
         await this.login();
-        if (this.session) {
+        if (this.client.session) {
             // Reconnect MQTT with new session tokens
             this.reconnectMqtt();
         }
-        return !!this.session;
+        return !!this.client.session;
     }
 
     /**
@@ -938,174 +2298,11 @@ class Byd extends utils.Adapter {
             this.mqttClient.end(true);
             this.mqttClient = null;
         }
-        if (this.session && this.vehicleArray?.length > 0) {
+        if (this.client.session && this.vehicleArray?.length > 0) {
             this.connectMqtt();
         }
     }
 
-    /**
-     * Generic poll endpoint that triggers a request and polls for results
-     *
-     * @param {string} vin - Vehicle VIN
-     * @param {object} endpoint - Endpoint config
-     */
-    async pollEndpoint(vin, endpoint) {
-        if (!this.session) {
-            return;
-        }
-
-        // Trigger request
-        const triggerReq = endpoint.builder(
-            this.session,
-            this.config.countryCode,
-            this.config.language,
-            this.deviceConfig,
-            vin,
-        );
-
-        let requestSerial = null;
-
-        await this.requestClient({
-            method: 'post',
-            url: `${bydapi.BASE_URL}${endpoint.triggerUrl}`,
-            headers: {
-                'User-Agent': bydapi.USER_AGENT,
-                'Content-Type': 'application/json; charset=UTF-8',
-            },
-            data: { request: bydapi.encodeEnvelope(triggerReq.outer) },
-        })
-            .then(async res => {
-                // this.log.debug(`${endpoint.name} trigger response: ${JSON.stringify(res.data)}`);
-                const decoded = bydapi.decodeEnvelope(res.data);
-                if (decoded.code === '0' && decoded.respondData) {
-                    const data = bydapi.decryptResponseData(decoded.respondData, triggerReq.contentKey);
-                    requestSerial = data.requestSerial || null;
-                }
-            })
-            .catch(error => {
-                this.log.error(`${endpoint.name} trigger error: ${error.message}`);
-            });
-
-        // Poll for result (up to 10 attempts)
-        for (let attempt = 0; attempt < 10; attempt++) {
-            await this.sleep(1500);
-
-            const pollReq = endpoint.builder(
-                this.session,
-                this.config.countryCode,
-                this.config.language,
-                this.deviceConfig,
-                vin,
-                requestSerial,
-            );
-
-            let ready = false;
-
-            await this.requestClient({
-                method: 'post',
-                url: `${bydapi.BASE_URL}${endpoint.pollUrl}`,
-                headers: {
-                    'User-Agent': bydapi.USER_AGENT,
-                    'Content-Type': 'application/json; charset=UTF-8',
-                },
-                data: { request: bydapi.encodeEnvelope(pollReq.outer) },
-            })
-                .then(async res => {
-                    // this.log.debug(`${endpoint.name} poll response: ${JSON.stringify(res.data)}`);
-                    const decoded = bydapi.decodeEnvelope(res.data);
-                    if (decoded.code === '0' && decoded.respondData) {
-                        const data = bydapi.decryptResponseData(decoded.respondData, pollReq.contentKey);
-                        this.log.debug(`${endpoint.name} data: ${JSON.stringify(data)}`);
-
-                        if (endpoint.isReady(data)) {
-                            if (endpoint.cache) {
-                                this.realtimeCache[vin] = data;
-                            }
-                            const parseOpts = { forceIndex: true, descriptions, states };
-                            if (endpoint.channelName) {
-                                parseOpts.channelName = endpoint.channelName;
-                            }
-                            this.json2iob.parse(
-                                `${vin}.status${endpoint.channel ? `.${endpoint.channel}` : ''}`,
-                                data,
-                                parseOpts,
-                            );
-                            ready = true;
-                        }
-                    }
-                })
-                .catch(error => {
-                    this.log.error(`${endpoint.name} poll error: ${error.message}`);
-                });
-
-            if (ready) {
-                break;
-            }
-        }
-    }
-
-    async pollVehicleRealtime(vin) {
-        await this.pollEndpoint(vin, {
-            name: 'Realtime',
-            triggerUrl: '/vehicleInfo/vehicle/vehicleRealTimeRequest',
-            pollUrl: '/vehicleInfo/vehicle/vehicleRealTimeResult',
-            builder: bydapi.buildVehicleRealtimeRequest,
-            isReady: bydapi.isRealtimeDataReady,
-            cache: true,
-        });
-    }
-
-    async pollGpsInfo(vin) {
-        // If MQTT is connected, only trigger - MQTT will deliver the result
-        if (this.mqttClient?.connected) {
-            this.log.debug('GPS: MQTT connected, trigger only (no API poll)');
-            await this.triggerGps(vin);
-            return;
-        }
-
-        // Fallback: MQTT not connected, use API polling
-        this.log.debug('GPS: MQTT not connected, using API poll fallback');
-        await this.pollEndpoint(vin, {
-            name: 'GPS',
-            triggerUrl: '/control/getGpsInfo',
-            pollUrl: '/control/getGpsInfoResult',
-            builder: bydapi.buildGpsInfoRequest,
-            isReady: bydapi.isGpsDataReady,
-            // No channel - flat structure directly in status
-        });
-    }
-
-    /**
-     * Trigger GPS request (result comes via MQTT)
-     *
-     * @param vin - Vehicle VIN
-     */
-    async triggerGps(vin) {
-        const triggerReq = bydapi.buildGpsInfoRequest(
-            this.session,
-            this.config.countryCode,
-            this.config.language,
-            this.deviceConfig,
-            vin,
-        );
-
-        await this.requestClient({
-            method: 'post',
-            url: `${bydapi.BASE_URL}/control/getGpsInfo`,
-            headers: {
-                'User-Agent': bydapi.USER_AGENT,
-                'Content-Type': 'application/json; charset=UTF-8',
-            },
-            data: { request: bydapi.encodeEnvelope(triggerReq.outer) },
-        })
-            .then(res => {
-                this.log.debug(`GPS trigger response: ${JSON.stringify(res.data)}`);
-            })
-            .catch(error => {
-                this.log.warn(`GPS trigger failed: ${error.message}`);
-            });
-    }
-
     /**
      * Fetch HVAC status and parse into ioBroker states (flat structure)
      * Unwraps statusNow to match Realtime structure
@@ -1113,7 +2310,7 @@ class Byd extends utils.Adapter {
      * @param {string} vin - Vehicle VIN
      */
     async fetchHvacStatus(vin) {
-        if (!this.session) {
+        if (!this.client.session) {
             return;
         }
 
@@ -1122,54 +2319,41 @@ class Byd extends utils.Adapter {
             return;
         }
 
-        const req = bydapi.buildHvacStatusRequest(
-            this.session,
-            this.config.countryCode,
-            this.config.language,
-            this.deviceConfig,
-            vin,
-        );
-
-        await this.requestClient({
-            method: 'post',
-            url: `${bydapi.BASE_URL}/control/getStatusNow`,
-            headers: {
-                'User-Agent': bydapi.USER_AGENT,
-                'Content-Type': 'application/json; charset=UTF-8',
-            },
-            data: { request: bydapi.encodeEnvelope(req.outer) },
-        })
-            .then(async res => {
-                const decoded = bydapi.decodeEnvelope(res.data);
-                if (decoded.code === '0' && decoded.respondData) {
-                    const data = bydapi.decryptResponseData(decoded.respondData, req.contentKey);
-                    // Unwrap statusNow to match Realtime flat structure
-                    const hvacData = data.statusNow || data;
-                    this.log.debug(`HVAC data: ${JSON.stringify(hvacData)}`);
-                    // Flat structure - directly into status
-                    this.json2iob.parse(`${vin}.status`, hvacData, {
-                        forceIndex: true,
-                        descriptions,
-                        states,
-                    });
-                } else if (bydapi.isSessionExpired(decoded.code)) {
-                    await this.handleSessionExpired(decoded.code, 'hvac');
-                } else if (bydapi.isEndpointNotSupported(decoded.code)) {
+        await this.client
+            .getHvacStatus(vin)
+            .then(data => {
+                if (!data) {
+                    return;
+                }
+                // Unwrap statusNow to match Realtime flat structure
+                const hvacData = data.statusNow || data;
+                this.log.debug(`HVAC data: ${JSON.stringify(hvacData)}`);
+                // Flat structure - directly into status
+                this.json2iob.parse(`${vin}.status`, hvacData, {
+                    forceIndex: true,
+                    descriptions,
+                    states,
+                });
+            })
+            .catch(async error => {
+                this.recordError(vin, 'hvac', error);
+                if (!(error instanceof BydApiError)) {
+                    this.log.error(`HVAC error: ${error.message}`);
+                } else if (error instanceof BydAuthError) {
+                    await this.handleSessionExpired(error.code, 'hvac');
+                } else if (error instanceof BydUnsupportedError) {
                     this.log.info(`HVAC endpoint not supported for ${vin}`);
                     if (!this.unsupportedEndpoints[vin]) {
                         this.unsupportedEndpoints[vin] = new Set();
                     }
                     this.unsupportedEndpoints[vin].add('hvac');
                 }
-            })
-            .catch(error => {
-                this.log.error(`HVAC error: ${error.message}`);
             });
     }
 
     /**
      * Fetch HVAC status if vehicle is on (like Home Assistant).
-     * Energy and Charging endpoints removed - data already in Realtime.
+     * Charging status runs on its own schedule.
      *
      * @param {string} vin - Vehicle VIN
      */
@@ -1184,126 +2368,88 @@ class Byd extends utils.Adapter {
         }
 
         await this.fetchHvacStatus(vin);
-
-        // TEMPORARY: Compare Charging soc vs Realtime elecPercent
-        // await this.compareChargingSocWithRealtime(vin);
     }
 
     /**
-     * TEMPORARY: Fetch Charging endpoint and compare soc with elecPercent from Realtime
-     * Remove after testing!
+     * Fetch smart charge home page into <vin>.charging
+     * (soc, chargingState, connectState, fullHour/fullMinute, smartChargeDto, discount prices, ...)
      *
      * @param {string} vin - Vehicle VIN
      */
-    async compareChargingSocWithRealtime(vin) {
-        if (!this.session) {
+    async fetchChargingStatus(vin) {
+        if (!this.client.session) {
             return;
         }
 
-        const req = bydapi.buildChargingStatusRequest(
-            this.session,
-            this.config.countryCode,
-            this.config.language,
-            this.deviceConfig,
-            vin,
-        );
+        // Skip if endpoint is known to be unsupported for this VIN
+        if (this.unsupportedEndpoints[vin]?.has('charging')) {
+            return;
+        }
 
+        let data;
         try {
-            const res = await this.requestClient({
-                method: 'post',
-                url: `${bydapi.BASE_URL}/control/smartCharge/homePage`,
-                headers: {
-                    'User-Agent': bydapi.USER_AGENT,
-                    'Content-Type': 'application/json; charset=UTF-8',
-                },
-                data: { request: bydapi.encodeEnvelope(req.outer) },
-            });
-
-            const decoded = bydapi.decodeEnvelope(res.data);
-            if (decoded.code === '0' && decoded.respondData) {
-                const data = bydapi.decryptResponseData(decoded.respondData, req.contentKey);
-                const chargingSoc = data.soc;
-                const realtime = this.realtimeCache[vin] || {};
-
-                // State code mappings for logging
-                const chargingStateMap = {
-                    '-1': 'Disconnected',
-                    0: 'Not Charging',
-                    1: 'Charging',
-                    15: 'Gun Connected',
-                };
-                const connectStateMap = { '-1': 'Unknown', 0: 'Disconnected', 1: 'Connected' };
-                const chargeStateMap = { '-1': 'Unknown', 0: 'Not Charging', 1: 'Charging', 2: 'Charged' };
-
-                const chargingLabel = chargingStateMap[data.chargingState] || '?';
-                const rtChargingLabel = chargingStateMap[realtime.chargingState] || '?';
-                const connectLabel = connectStateMap[data.connectState] || '?';
-                const rtConnectLabel = connectStateMap[realtime.connectState] || '?';
-                const rtChargeLabel = chargeStateMap[realtime.chargeState] || '?';
-
-                this.log.info(`=== SOC COMPARISON for ${vin} ===`);
-                this.log.info(`Realtime elecPercent:    ${realtime.elecPercent}`);
-                this.log.info(`Charging soc:            ${chargingSoc}`);
-                this.log.info(`SOC Difference:          ${chargingSoc - realtime.elecPercent}`);
-                this.log.info(`---`);
-                this.log.info(`Realtime chargeState:    ${realtime.chargeState} (${rtChargeLabel})`);
-                this.log.info(`Charging chargingState:  ${data.chargingState} (${chargingLabel})`);
-                this.log.info(`---`);
-                this.log.info(`Realtime chargingState:  ${realtime.chargingState} (${rtChargingLabel})`);
-                this.log.info(`Realtime connectState:   ${realtime.connectState} (${rtConnectLabel})`);
-                this.log.info(`Charging connectState:   ${data.connectState} (${connectLabel})`);
-                this.log.info(`---`);
-                this.log.info(`Realtime remaining:      ${realtime.remainingHours}h ${realtime.remainingMinutes}m`);
-                this.log.info(`Charging fullHour/Min:   ${data.fullHour}h ${data.fullMinute}m`);
-                this.log.info(`================================`);
-            } else if (bydapi.isEndpointNotSupported(decoded.code)) {
+            data = await this.client.getChargingStatus(vin);
+        } catch (error) {
+            this.recordError(vin, 'charging', error);
+            if (!(error instanceof BydApiError)) {
+                this.log.error(`Charging status error: ${error.message}`);
+            } else if (error instanceof BydAuthError) {
+                await this.handleSessionExpired(error.code, 'charging');
+            } else if (error instanceof BydUnsupportedError) {
                 this.log.info(`Charging endpoint not supported for ${vin}`);
+                if (!this.unsupportedEndpoints[vin]) {
+                    this.unsupportedEndpoints[vin] = new Set();
+                }
+                this.unsupportedEndpoints[vin].add('charging');
             } else {
-                this.log.warn(`Charging comparison failed: code=${decoded.code}`);
+                this.log.warn(`Charging status failed for ${vin}: ${error.message}`);
             }
-        } catch (error) {
-            this.log.error(`Charging comparison error: ${error.message}`);
+            return;
+        }
+        if (!data) {
+            return;
+        }
+        this.log.debug(`Charging data: ${JSON.stringify(data)}`);
+
+        await this.setObjectNotExistsAsync(`${vin}.charging`, {
+            type: 'channel',
+            common: { name: 'Charging' },
+            native: {},
+        });
+        this.json2iob.parse(`${vin}.charging`, data, {
+            forceIndex: true,
+            descriptions,
+            states,
+        });
+        if (this.hasCapability(vin, 'smartCharging')) {
+            await this.syncSmartChargingStates(vin, data);
+        }
+
+        // connectState is -1 on some models - realtime chargeState covers those
+        const connectState = Number(data.connectState);
+        if (connectState === 0 || connectState === 1) {
+            this.updatePluggedInState(vin, connectState === 1 || Number(data.chargingState) === 1);
+            this.vehicleChargingState[vin] = Number(data.chargingState) === 1;
         }
     }
 
     async connectMqtt() {
-        if (!this.session) {
+        if (!this.client.session) {
             return;
         }
 
         // Fetch MQTT broker address
-        const req = bydapi.buildEmqBrokerRequest(
-            this.session,
-            this.config.countryCode,
-            this.config.language,
-            this.deviceConfig,
-        );
-
-        await this.requestClient({
-            method: 'post',
-            url: `${bydapi.BASE_URL}/app/emqAuth/getEmqBrokerIp`,
-            headers: {
-                'User-Agent': bydapi.USER_AGENT,
-                'Content-Type': 'application/json; charset=UTF-8',
-            },
-            data: { request: bydapi.encodeEnvelope(req.outer) },
-        })
-            .then(async res => {
-                // this.log.debug(`EMQ broker response: ${JSON.stringify(res.data)}`);
-                const decoded = bydapi.decodeEnvelope(res.data);
-
-                if (decoded.code !== '0') {
-                    this.log.error(`EMQ broker lookup failed: code=${decoded.code} message=${decoded.message || ''}`);
-                    return;
-                }
-
-                const data = bydapi.decryptResponseData(decoded.respondData, req.contentKey);
-                this.log.debug(`EMQ broker data: ${JSON.stringify(data)}`);
-                // Response contains emqBorker (typo in API) or emqBroker
-                this.mqttBroker = data.emqBorker || data.emqBroker;
+        await this.client
+            .getEmqBroker()
+            .then(broker => {
+                this.mqttBroker = broker;
                 this.log.debug(`MQTT broker: ${this.mqttBroker}`);
             })
             .catch(error => {
+                if (error instanceof BydApiError) {
+                    this.log.error(`EMQ broker lookup failed: code=${error.code} message=${error.apiMessage}`);
+                    return;
+                }
                 this.log.error(`EMQ broker error: ${error.message}`);
             });
 
@@ -1313,17 +2459,17 @@ class Byd extends utils.Adapter {
         }
 
         // Build MQTT credentials
-        const clientId = bydapi.buildMqttClientId(this.deviceConfig.imeiMd5);
+        const clientId = bydapi.buildMqttClientId(this.client.deviceConfig.imeiMd5);
         const tsSeconds = Math.floor(Date.now() / 1000);
-        const mqttPassword = bydapi.buildMqttPassword(this.session, clientId, tsSeconds);
-        const topic = `oversea/res/${this.session.userId}`;
+        const mqttPassword = bydapi.buildMqttPassword(this.client.session, clientId, tsSeconds);
+        const topic = `oversea/res/${this.client.session.userId}`;
 
         this.log.info(`Connecting to MQTT broker: ${this.mqttBroker}`);
 
         // Connect to MQTT broker
         this.mqttClient = mqtt.connect(`mqtts://${this.mqttBroker}`, {
             clientId,
-            username: this.session.userId,
+            username: this.client.session.userId,
             password: mqttPassword,
             protocolVersion: 5,
             rejectUnauthorized: true,
@@ -1358,7 +2504,7 @@ class Byd extends utils.Adapter {
             this.log.debug('MQTT reconnecting...');
             // Update password on reconnect (timestamp changes)
             const newTsSeconds = Math.floor(Date.now() / 1000);
-            const newPassword = bydapi.buildMqttPassword(this.session, clientId, newTsSeconds);
+            const newPassword = bydapi.buildMqttPassword(this.client.session, clientId, newTsSeconds);
             this.mqttClient.options.password = newPassword;
         });
     }
@@ -1373,16 +2519,16 @@ class Byd extends utils.Adapter {
             const stripped = messageStr.replace(/\s+/g, '');
 
             let payload;
-            if (/^[0-9A-Fa-f]+$/.test(stripped) && this.session?.encryToken) {
+            if (/^[0-9A-Fa-f]+$/.test(stripped) && this.client.session?.encryToken) {
                 // Hex-encoded encrypted message
                 try {
-                    const decrypted = bydapi.decryptMqttPayload(stripped, this.session.encryToken);
+                    const decrypted = bydapi.decryptMqttPayload(stripped, this.client.session.encryToken);
                     payload = JSON.parse(decrypted);
                     this.log.debug(`MQTT decrypted: ${JSON.stringify(payload)}`);
                 } catch (decryptError) {
                     // Decrypt failure often means stale encryToken - trigger re-auth (pyBYD pattern)
                     this.log.warn(`MQTT decrypt failed (${decryptError.message}), triggering re-auth`);
-                    this.handleSessionExpired('decrypt_error', 'MQTT');
+                    this.handleSessionExpired(MQTT_DECRYPT_ERROR, 'MQTT');
                     return;
                 }
             } else {
@@ -1439,6 +2585,8 @@ class Byd extends utils.Adapter {
      * @param {object} payload - MQTT payload
      */
     handleMqttVehicleInfo(vin, payload) {
+        // Car is awake - resumes polling paused by a time window
+        this.lastMqttPush[vin] = Date.now();
         const respondData = payload.data?.respondData;
         if (!respondData || typeof respondData !== 'object') {
             this.log.debug(`MQTT vehicleInfo without respondData for ${vin}`);
@@ -1572,27 +2720,35 @@ class Byd extends utils.Adapter {
      * @param {string} requestSerial - Request serial from HTTP trigger
      * @param {string} vin - Vehicle VIN
      * @param {string} commandType - Command type for logging
+     * @param {AbortSignal} signal - Abort signal of the poll run
+     * @param {number} timeoutMs - Remaining time budget of the poll run
      * @returns {Promise<object|null>} Result or null on timeout
      */
-    waitForMqttResult(requestSerial, vin, commandType) {
+    waitForMqttResult(requestSerial, vin, commandType, signal, timeoutMs) {
         if (!this.mqttClient || !requestSerial) {
             return Promise.resolve(null);
         }
+        this.log.debug(`Waiting for MQTT result (${this.mqttWaitTimeout}ms timeout)...`);
 
         return new Promise(resolve => {
-            const timeout = setTimeout(() => {
-                if (this.pendingRemoteControls.has(requestSerial)) {
-                    this.pendingRemoteControls.delete(requestSerial);
+            const finish = result => {
+                clearTimeout(timeout);
+                signal.removeEventListener('abort', onAbort);
+                this.pendingRemoteControls.delete(requestSerial);
+                resolve(result);
+            };
+            const onAbort = () => finish(null);
+            const timeout = setTimeout(
+                () => {
                     this.log.debug(`MQTT timeout for ${commandType} (${requestSerial}), falling back to HTTP`);
-                    resolve(null);
-                }
-            }, this.mqttWaitTimeout);
+                    finish(null);
+                },
+                Math.min(this.mqttWaitTimeout, Math.max(0, timeoutMs)),
+            );
+            signal.addEventListener('abort', onAbort, { once: true });
 
             this.pendingRemoteControls.set(requestSerial, {
-                resolve: result => {
-                    clearTimeout(timeout);
-                    resolve(result);
-                },
+                resolve: finish,
                 vin,
                 commandType,
                 timestamp: Date.now(),
@@ -1607,7 +2763,7 @@ class Byd extends utils.Adapter {
      * @param {string} vin - Vehicle identification number
      */
     async verifyControlPassword(vin) {
-        if (!this.session) {
+        if (!this.client.session) {
             return { success: false, error: 'No session' };
         }
 
@@ -1616,69 +2772,48 @@ class Byd extends utils.Adapter {
             return { success: false, error: 'No control PIN configured' };
         }
 
-        const req = bydapi.buildVerifyControlPasswordRequest(
-            this.session,
-            this.config.countryCode,
-            this.config.language,
-            this.deviceConfig,
-            vin,
-            this.config.controlPin,
-        );
+        await this.refreshPinLock();
+        const pinBlocked = this.getPinBlockReason();
+        if (pinBlocked) {
+            this.log.error(`Control PIN verification skipped: ${pinBlocked}`);
+            return { success: false, error: pinBlocked, pinBlocked: true };
+        }
 
         try {
-            const res = await this.requestClient({
-                method: 'post',
-                url: `${bydapi.BASE_URL}/vehicle/vehicleswitch/verifyControlPassword`,
-                headers: {
-                    'User-Agent': bydapi.USER_AGENT,
-                    'Content-Type': 'application/json; charset=UTF-8',
-                },
-                data: { request: bydapi.encodeEnvelope(req.outer) },
-            });
-
-            this.log.debug(`Verify control password response: ${JSON.stringify(res.data)}`);
-            this.log.debug(`contentKey: ${req.contentKey}, encryToken: ${this.session.encryToken}`);
-            const decoded = bydapi.decodeEnvelope(res.data);
-            this.log.debug(`Verify control password decoded: ${JSON.stringify(decoded)}`);
-
-            if (decoded.code !== '0') {
-                if (bydapi.isNoPinSetError(decoded.code)) {
-                    // 5011: No PIN set in BYD app - this is a user setup issue
-                    const errMsg = bydapi.getControlPasswordErrorMessage(decoded.code);
-                    this.log.error(`Control PIN verification failed: ${errMsg}`);
-                    this.log.error('You must first set a Remote Control Password in the BYD app');
-                    this.log.error('BYD App > Settings > Security > Remote Control Password');
-                    return { success: false, error: errMsg, noPinInApp: true };
-                }
-                if (bydapi.isControlPasswordError(decoded.code)) {
-                    const errMsg = bydapi.getControlPasswordErrorMessage(decoded.code);
-                    this.log.error(`Control PIN verification failed: ${errMsg}`);
-                    return { success: false, error: errMsg };
-                }
-                this.log.error(`Control PIN verification failed: code=${decoded.code}`);
-                return { success: false, error: `API error: ${decoded.code}` };
-            }
-
-            if (decoded.respondData) {
-                try {
-                    const data = bydapi.decryptResponseData(decoded.respondData, req.contentKey);
-                    this.log.debug(`Control password verification result: ${JSON.stringify(data)}`);
-                    if (data.ok === true) {
-                        this.log.info('Control password verified successfully');
-                        return { success: true };
-                    }
-                } catch (decryptErr) {
-                    this.log.debug(`Failed to decrypt respondData: ${decryptErr.message}`);
-                    // Some responses don't have encrypted respondData, treat code=0 as success
-                }
+            const data = await this.client.verifyControlPassword(vin, this.config.controlPin);
+            this.log.debug(`Control password verification result: ${JSON.stringify(data)}`);
+            await this.setPinStatus('ok');
+            if (data.ok === true) {
+                this.log.info('Control password verified successfully');
+                return { success: true };
             }
 
             // code=0 without respondData or failed decrypt = success
             this.log.info('Control password verified (code=0)');
             return { success: true };
         } catch (error) {
-            this.log.error(`Control password verification error: ${error.message}`);
-            return { success: false, error: error.message };
+            this.recordError(vin, 'verifyPin', error);
+            if (!(error instanceof BydApiError)) {
+                this.log.error(`Control password verification error: ${error.message}`);
+                return { success: false, error: error.message };
+            }
+            if (error instanceof BydPinError) {
+                await this.handlePinError(error);
+            }
+            if (bydapi.isNoPinSetError(error.code)) {
+                // 5011: No PIN set in BYD app - this is a user setup issue
+                const errMsg = bydapi.getControlPasswordErrorMessage(error.code);
+                this.log.error(`Control PIN verification failed: ${errMsg}`);
+                this.log.error('You must first set a Remote Control Password in the BYD app');
+                this.log.error('BYD App > Settings > Security > Remote Control Password');
+                return { success: false, error: errMsg, noPinInApp: true };
+            }
+            if (error instanceof BydPinError) {
+                this.log.error(`Control PIN verification failed: ${error.message}`);
+                return { success: false, error: error.message };
+            }
+            this.log.error(`Control PIN verification failed: code=${error.code}`);
+            return { success: false, error: `API error: ${error.code}` };
         }
     }
 
@@ -1689,41 +2824,20 @@ class Byd extends utils.Adapter {
      * @param {boolean} enable - True to enable, false to disable
      */
     async toggleSmartCharging(vin, enable) {
-        if (!this.session) {
+        if (!this.client.session) {
             return { success: false, error: 'No session' };
         }
 
-        const req = bydapi.buildSmartChargingToggleRequest(
-            this.session,
-            this.config.countryCode,
-            this.config.language,
-            this.deviceConfig,
-            vin,
-            enable,
-        );
-
         try {
-            const res = await this.requestClient({
-                method: 'post',
-                url: `${bydapi.BASE_URL}/control/smartCharge/changeChargeStatue`,
-                headers: {
-                    'User-Agent': bydapi.USER_AGENT,
-                    'Content-Type': 'application/json; charset=UTF-8',
-                },
-                data: { request: bydapi.encodeEnvelope(req.outer) },
-            });
-
-            // this.log.debug(`Smart charging toggle response: ${JSON.stringify(res.data)}`);
-            const decoded = bydapi.decodeEnvelope(res.data);
-            this.log.debug(`Decoded smart charging toggle: ${JSON.stringify(decoded)}`);
-            if (decoded.code !== '0') {
-                this.log.error(`Smart charging toggle failed: code=${decoded.code}`);
-                return { success: false, error: `API error: ${decoded.code}` };
-            }
-
+            await this.client.toggleSmartCharging(vin, enable);
             this.log.info(`Smart charging ${enable ? 'enabled' : 'disabled'} successfully`);
             return { success: true };
         } catch (error) {
+            this.recordError(vin, 'smartCharging', error);
+            if (error instanceof BydApiError) {
+                this.log.error(`Smart charging toggle failed: code=${error.code}`);
+                return { success: false, error: `API error: ${error.code}` };
+            }
             this.log.error(`Smart charging toggle error: ${error.message}`);
             return { success: false, error: error.message };
         }
@@ -1740,235 +2854,413 @@ class Byd extends utils.Adapter {
      * @param {number} endMinute - End minute (0-59)
      */
     async saveChargingSchedule(vin, targetSoc, startHour, startMinute, endHour, endMinute) {
-        if (!this.session) {
+        if (!this.client.session) {
             return { success: false, error: 'No session' };
         }
 
-        const req = bydapi.buildSmartChargingScheduleRequest(
-            this.session,
-            this.config.countryCode,
-            this.config.language,
-            this.deviceConfig,
-            vin,
-            targetSoc,
-            startHour,
-            startMinute,
-            endHour,
-            endMinute,
-        );
-
         try {
-            const res = await this.requestClient({
-                method: 'post',
-                url: `${bydapi.BASE_URL}/control/smartCharge/saveOrUpdate`,
-                headers: {
-                    'User-Agent': bydapi.USER_AGENT,
-                    'Content-Type': 'application/json; charset=UTF-8',
-                },
-                data: { request: bydapi.encodeEnvelope(req.outer) },
-            });
-
-            //  this.log.debug(`Charging schedule save response: ${JSON.stringify(res.data)}`);
-            const decoded = bydapi.decodeEnvelope(res.data);
-            this.log.debug(`Decoded charging schedule save: ${JSON.stringify(decoded)}`);
-            if (decoded.code !== '0') {
-                this.log.error(`Charging schedule save failed: code=${decoded.code}`);
-                return { success: false, error: `API error: ${decoded.code}` };
-            }
-
+            await this.client.saveChargingSchedule(vin, targetSoc, startHour, startMinute, endHour, endMinute);
             this.log.info(
                 `Charging schedule saved: ${startHour}:${startMinute} - ${endHour}:${endMinute}, target SOC ${targetSoc}%`,
             );
             return { success: true };
         } catch (error) {
+            this.recordError(vin, 'chargingSchedule', error);
+            if (error instanceof BydApiError) {
+                this.log.error(`Charging schedule save failed: code=${error.code}`);
+                return { success: false, error: `API error: ${error.code}` };
+            }
             this.log.error(`Charging schedule save error: ${error.message}`);
             return { success: false, error: error.message };
         }
     }
 
     /**
-     * Send remote control command with MQTT-first pattern
-     * 1. Trigger via HTTP, get requestSerial
-     * 2. Wait for MQTT result (8s timeout)
-     * 3. Fall back to HTTP polling only if MQTT times out
+     * Queue a remote control command, commands of one VIN run one after another
      *
      * @param {string} vin - Vehicle VIN
      * @param {string} commandType - Command type (LOCKDOOR, OPENDOOR, etc.)
      * @param {object|null} controlParamsMap - Optional command parameters
-     * @param {number} retryCount - Internal retry counter
+     * @param {{from?: string, user?: string}} [origin] - Requesting adapter/user (audit log)
+     * @param {boolean} [dryRun] - Only build and log the request (also enabled for all commands by the dryRun setting)
+     * @returns {Promise<object>} Command result ({ success, ... })
      */
-    async sendRemoteControl(vin, commandType, controlParamsMap = null, retryCount = 0) {
-        if (!this.session) {
-            return { success: false, error: 'No session' };
+    async sendRemoteControl(vin, commandType, controlParamsMap = null, origin = {}, dryRun = false) {
+        const requested = Date.now();
+        const simulate = dryRun || !!this.config.dryRun;
+        const status = this.commandQueue.getStatus(vin);
+        if (status.current) {
+            this.log.info(
+                `Remote command ${commandType} for ${vin} queued behind ${status.current} (${status.length + 1} waiting)`,
+            );
         }
+        let startTime = Date.now();
+        const queued = await this.commandQueue.enqueue(vin, commandType, () => {
+            startTime = Date.now();
+            if (simulate) {
+                return this.simulateRemoteControl(vin, commandType, controlParamsMap);
+            }
+            return this.executeRemoteControl(vin, commandType, controlParamsMap);
+        });
+        let result;
+        if (queued.status === 'cancelled') {
+            this.log.info(`Remote command ${commandType} for ${vin} removed from queue (${queued.reason})`);
+            result = { success: false, error: `Cancelled (${queued.reason})`, cancelled: true };
+        } else {
+            result = queued.result;
+        }
+        this.writeRemoteResult(vin, commandType, result, queued.status === 'cancelled' ? 0 : Date.now() - startTime, {
+            params: controlParamsMap,
+            origin,
+            requested,
+        });
+        return result;
+    }
 
-        const MAX_RATE_LIMIT_RETRIES = 3;
-        const RATE_LIMIT_DELAY_MS = 5000;
-
-        // Step 1: Trigger remote control via HTTP
-        const triggerReq = bydapi.buildRemoteControlRequest(
-            this.session,
-            this.config.countryCode,
-            this.config.language,
-            this.deviceConfig,
+    /**
+     * Dry run: build and log the remote control request, report success without sending it
+     *
+     * @param {string} vin - Vehicle VIN
+     * @param {string} commandType - Command type (LOCKDOOR, OPENDOOR, etc.)
+     * @param {object|null} controlParamsMap - Optional command parameters
+     * @returns {object} Simulated result ({ success: true, dryRun: true, request })
+     */
+    simulateRemoteControl(vin, commandType, controlParamsMap = null) {
+        const preview = this.client.previewRemoteControl(
             vin,
             commandType,
             controlParamsMap,
             this.config.controlPin || null,
         );
+        this.log.info(
+            `Dry run ${commandType} for ${vin} - not sent to ${preview.endpoint}: ${JSON.stringify(preview.request)}`,
+        );
+        return {
+            success: true,
+            dryRun: true,
+            message: 'Dry run - command not sent',
+            source: 'dryRun',
+            request: preview.request,
+        };
+    }
 
-        let requestSerial = null;
-        let triggerError = null;
+    /**
+     * Write remote.lastCommand/lastResult/lastMessage/lastSource/lastDuration
+     *
+     * @param {string} vin - Vehicle VIN
+     * @param {string} commandType - Command type (LOCKDOOR, OPENDOOR, etc.)
+     * @param {object} result - Result of executeRemoteControl
+     * @param {number} duration - Execution time in ms (without queue wait)
+     * @param {{params?: any, origin?: {from?: string, user?: string}, requested?: number}} [audit] - Audit log details
+     */
+    writeRemoteResult(vin, commandType, result, duration, audit = {}) {
+        let lastResult = result.success ? 'success' : 'failure';
+        if (result.timeout) {
+            lastResult = 'timeout';
+        } else if (result.cancelled) {
+            lastResult = 'cancelled';
+        } else if (result.rejected) {
+            lastResult = 'rejected';
+        }
+        this.setState(`${vin}.remote.lastCommand`, commandType, true);
+        this.setState(`${vin}.remote.lastResult`, lastResult, true);
+        this.setState(`${vin}.remote.lastMessage`, result.message || result.error || '', true);
+        this.setState(`${vin}.remote.lastSource`, result.source || '', true);
+        this.setState(`${vin}.remote.lastDuration`, duration, true);
+        this.recordAudit({
+            time: audit.requested || Date.now(),
+            finished: Date.now(),
+            vin,
+            command: commandType,
+            params: audit.params ?? null,
+            requestedBy: audit.origin?.from || '',
+            user: audit.origin?.user || '',
+            requestSerial: result.requestSerial || null,
+            result: lastResult,
+            message: result.message || result.error || '',
+            source: result.source || '',
+            duration,
+        });
+    }
 
+    /**
+     * Restore the audit log from info.auditLog
+     */
+    async restoreAuditLog() {
+        await this.setObjectNotExistsAsync('info.auditLog', {
+            type: 'state',
+            common: {
+                name: `Last ${MAX_AUDIT_ENTRIES} remote commands (newest first)`,
+                type: 'string',
+                role: 'json',
+                read: true,
+                write: false,
+            },
+            native: {},
+        });
+        const stored = await this.getStateAsync('info.auditLog');
+        if (!stored || typeof stored.val !== 'string' || !stored.val) {
+            return;
+        }
         try {
-            const res = await this.requestClient({
-                method: 'post',
-                url: `${bydapi.BASE_URL}/control/remoteControl`,
-                headers: {
-                    'User-Agent': bydapi.USER_AGENT,
-                    'Content-Type': 'application/json; charset=UTF-8',
-                },
-                data: { request: bydapi.encodeEnvelope(triggerReq.outer) },
-            });
-
-            //  this.log.debug(`Remote control trigger response: ${JSON.stringify(res.data)}`);
-            const decoded = bydapi.decodeEnvelope(res.data);
-            // this.log.debug(`Decoded remote control trigger: ${JSON.stringify(decoded)}`);
-            if (decoded.code !== '0') {
-                // Handle specific error codes
-                if (bydapi.isControlPasswordError(decoded.code)) {
-                    const errMsg = bydapi.getControlPasswordErrorMessage(decoded.code);
-                    this.log.error(`Remote control failed: ${errMsg}`);
-                    return { success: false, error: errMsg };
-                }
+            this.auditLog.load(JSON.parse(stored.val));
+        } catch {
+            this.log.warn('Failed to read stored audit log, starting a new one');
+        }
+    }
 
-                if (bydapi.isRateLimited(decoded.code)) {
-                    if (retryCount < MAX_RATE_LIMIT_RETRIES) {
-                        this.log.warn(`Rate limited, retry ${retryCount + 1}/${MAX_RATE_LIMIT_RETRIES}`);
-                        await this.sleep(RATE_LIMIT_DELAY_MS);
-                        return this.sendRemoteControl(vin, commandType, controlParamsMap, retryCount + 1);
-                    }
-                    return { success: false, error: 'Rate limit exceeded' };
-                }
+    /**
+     * Add a remote command to the audit log and persist it in info.auditLog
+     *
+     * @param {object} entry - Audit entry
+     */
+    recordAudit(entry) {
+        this.auditLog.add(entry);
+        this.setState('info.auditLog', JSON.stringify(this.auditLog.entries), true);
+    }
 
-                if (bydapi.isSessionExpired(decoded.code)) {
-                    this.log.warn('Session expired, re-authenticating...');
-                    this.log.debug(`DEBUG: Setting session=null in sendRemoteControl (code=${decoded.code})`);
-                    this.session = null;
-                    await this.login();
-                    if (this.session && retryCount < 1) {
-                        return this.sendRemoteControl(vin, commandType, controlParamsMap, retryCount + 1);
-                    }
-                    return { success: false, error: 'Session expired' };
-                }
+    /**
+     * Ack a remote state after a command: written value on success,
+     * real vehicle value on failure or dry run (buttons go back to false)
+     *
+     * @param {string} id - Full state ID
+     * @param {string} vin - Vehicle VIN
+     * @param {string} command - Remote state name (lock, climate, ...)
+     * @param {any} val - Written value
+     * @param {object} result - Result of sendRemoteControl
+     */
+    async finishRemoteCommand(id, vin, command, val, result) {
+        if (REMOTE_BUTTONS.includes(command)) {
+            await this.setStateAsync(id, false, true);
+            return;
+        }
+        if (result.success && !result.dryRun) {
+            await this.setStateAsync(id, val, true);
+            return;
+        }
+        const statusField = Object.keys(STATUS_TO_REMOTE).find(key => STATUS_TO_REMOTE[key].remote === command);
+        const status = statusField ? await this.getStateAsync(`${vin}.status.${statusField}`) : null;
+        const actual = status && status.val !== null ? STATUS_TO_REMOTE[statusField].transform(status.val) : !val;
+        this.log.debug(`Remote ${command} ${result.dryRun ? 'dry run' : 'failed'} - reverting to ${actual}`);
+        await this.setStateAsync(id, actual, true);
+    }
 
-                if (bydapi.isRemoteControlServiceError(decoded.code)) {
-                    this.log.error(`Remote control failed (1009): Vehicle offline or T-Box not responding`);
-                    return { success: false, error: 'Vehicle unreachable (1009)' };
-                }
+    /**
+     * Refresh the vehicle data 10s after a remote command (skipped for dry runs, nothing changed)
+     *
+     * @param {object} result - Result of sendRemoteControl
+     */
+    scheduleRemoteRefresh(result) {
+        if (result.dryRun) {
+            return;
+        }
+        this.refreshTimeout && clearTimeout(this.refreshTimeout);
+        this.refreshTimeout = setTimeout(() => {
+            this.updateVehicles();
+        }, 10 * 1000);
+    }
 
-                triggerError = `API error: ${decoded.code}`;
-            } else if (decoded.respondData) {
-                const data = bydapi.decryptResponseData(decoded.respondData, triggerReq.contentKey);
-                this.log.debug(`Remote control trigger data: ${JSON.stringify(data)}`);
-                requestSerial = data.requestSerial || null;
-                this.log.debug(`Remote control triggered, requestSerial: ${requestSerial}`);
+    /**
+     * Send any remote command type through the normal PIN, rate-limit and MQTT/HTTP result flow
+     *
+     * @param {string} vin - Vehicle VIN
+     * @param {any} request - { commandType, controlParams, dryRun } (object or JSON string)
+     * @param {{from?: string, user?: string}} [origin] - Requesting adapter/user (audit log)
+     * @returns {Promise<object>} Command result ({ success, ... })
+     */
+    async sendRawCommand(vin, request, origin = {}) {
+        if (typeof request === 'string') {
+            try {
+                request = JSON.parse(request);
+            } catch (error) {
+                return { success: false, error: `Invalid JSON: ${error.message}` };
             }
-        } catch (error) {
-            this.log.error(`Remote control trigger error: ${error.message}`);
-            return { success: false, error: error.message };
         }
-
-        if (triggerError) {
-            this.log.error(`Remote control failed: ${triggerError}`);
-            return { success: false, error: triggerError };
+        const commandType = request?.commandType;
+        if (typeof commandType !== 'string' || !/^[A-Z0-9_]+$/.test(commandType)) {
+            return { success: false, error: 'commandType must be an upper case command name, e.g. "LOCKDOOR"' };
         }
-
-        if (!requestSerial) {
-            this.log.warn('No requestSerial received from trigger');
-            return { success: false, error: 'No requestSerial' };
+        const controlParams = request.controlParams ?? null;
+        if (controlParams !== null && (typeof controlParams !== 'object' || Array.isArray(controlParams))) {
+            return { success: false, error: 'controlParams must be an object' };
+        }
+        if (!this.vehicleArray.some(v => v.vin === vin)) {
+            return { success: false, error: `Unknown vehicle ${vin}` };
         }
 
-        // Step 2: Wait for MQTT result (MQTT-first pattern)
-        this.log.debug(`Waiting for MQTT result (${this.mqttWaitTimeout}ms timeout)...`);
-        const mqttResult = await this.waitForMqttResult(requestSerial, vin, commandType);
+        this.log.info(`Sending raw remote command ${commandType} for ${vin}: ${JSON.stringify(controlParams)}`);
+        return this.sendRemoteControl(vin, commandType, controlParams, origin, request.dryRun === true);
+    }
 
-        if (mqttResult) {
-            // Got result via MQTT - fast path!
-            this.log.info(`Remote control ${commandType}: ${mqttResult.success ? 'success' : 'failed'} (via MQTT)`);
-            return mqttResult;
+    /**
+     * Handle sendTo messages
+     * - rawCommand: { vin?, commandType, controlParams?, dryRun? } -> command result
+     * - getAuditLog: { vin?, from?, to?, limit? } -> { success, count, entries }
+     *
+     * @param {ioBroker.Message} obj - Message object
+     */
+    async onMessage(obj) {
+        if (!obj || typeof obj !== 'object' || !obj.command) {
+            return;
+        }
+        let response;
+        if (obj.command === 'rawCommand') {
+            const message = obj.message || {};
+            // Default to the first vehicle for single-car accounts
+            const vin = message.vin || this.vehicleArray[0]?.vin;
+            if (!vin || !this.vehicleArray.some(v => v.vin === vin)) {
+                // Checked before the safety check - it writes <vin>.remote.* states
+                response = { success: false, error: `Unknown vehicle ${vin || '(no vin)'}` };
+            } else {
+                const category = this.getSafetyCategory('rawCommand', message);
+                const safety = category ? this.checkSafety(vin, 'rawCommand', message, { from: obj.from }) : null;
+                response =
+                    safety && !safety.allowed
+                        ? { success: false, error: safety.error }
+                        : await this.sendRawCommand(vin, message, { from: obj.from });
+            }
+        } else if (obj.command === 'getAuditLog') {
+            // Filter: { vin?, from?, to?, limit? } - from/to as timestamp or date string
+            const entries = this.auditLog.query(typeof obj.message === 'object' && obj.message ? obj.message : {});
+            response = { success: true, count: entries.length, entries };
+        } else {
+            response = { success: false, error: `Unknown command ${obj.command}` };
+        }
+        if (obj.callback) {
+            this.sendTo(obj.from, obj.command, response, obj.callback);
         }
-
-        // Step 3: MQTT timeout - fall back to HTTP polling
-        this.log.debug('MQTT timeout, falling back to HTTP polling...');
-        return this.pollRemoteControlResult(vin, commandType, requestSerial, triggerReq.contentKey);
     }
 
     /**
-     * Poll for remote control result via HTTP (fallback when MQTT times out)
+     * Send remote control command with MQTT-first pattern
+     * 1. Trigger via HTTP, get requestSerial
+     * 2. Wait for MQTT result (8s timeout)
+     * 3. Fall back to HTTP polling only if MQTT times out
      *
      * @param {string} vin - Vehicle VIN
-     * @param {string} commandType - Command type
-     * @param {string} requestSerial - Request serial from trigger
-     * @param {string} contentKey - Content key for decryption
-     */
-    async pollRemoteControlResult(vin, commandType, requestSerial, contentKey) {
-        const MAX_POLL_ATTEMPTS = 10;
-        const POLL_INTERVAL_MS = 1500;
-
-        for (let attempt = 0; attempt < MAX_POLL_ATTEMPTS; attempt++) {
-            await this.sleep(POLL_INTERVAL_MS);
-
-            const pollReq = bydapi.buildRemoteControlRequest(
-                this.session,
-                this.config.countryCode,
-                this.config.language,
-                this.deviceConfig,
-                vin,
-                commandType,
-                null,
-                null,
-                requestSerial,
-            );
+     * @param {string} commandType - Command type (LOCKDOOR, OPENDOOR, etc.)
+     * @param {object|null} controlParamsMap - Optional command parameters
+     * @param {number} retryCount - Internal retry counter
+     */
+    async executeRemoteControl(vin, commandType, controlParamsMap = null, retryCount = 0) {
+        if (!this.client.session) {
+            return { success: false, error: 'No session' };
+        }
 
-            try {
-                const res = await this.requestClient({
-                    method: 'post',
-                    url: `${bydapi.BASE_URL}/control/remoteControlResult`,
-                    headers: {
-                        'User-Agent': bydapi.USER_AGENT,
-                        'Content-Type': 'application/json; charset=UTF-8',
-                    },
-                    data: { request: bydapi.encodeEnvelope(pollReq.outer) },
-                });
+        // Never send a PIN that was rejected or is locked - every attempt counts towards the daily lock
+        await this.refreshPinLock();
+        const pinBlocked = this.getPinBlockReason();
+        if (pinBlocked) {
+            this.log.error(`Remote control ${commandType} not sent: ${pinBlocked}`);
+            return { success: false, error: pinBlocked, pinBlocked: true };
+        }
+
+        const MAX_RATE_LIMIT_RETRIES = 3;
+        const RATE_LIMIT_DELAY_MS = 5000;
 
-                this.log.debug(`Remote control poll ${attempt + 1}/${MAX_POLL_ATTEMPTS}: ${JSON.stringify(res.data)}`);
-                const decoded = bydapi.decodeEnvelope(res.data);
+        // Trigger via HTTP -> wait for MQTT result -> HTTP poll fallback.
+        // No supersede key: every command needs its own result.
+        let result;
+        try {
+            result = await this.pollEngine.run(null, {
+                ...POLL_PROFILES.remoteControl,
+                trigger: async () => {
+                    const data = await this.client.remoteControl(
+                        vin,
+                        commandType,
+                        controlParamsMap,
+                        this.config.controlPin || null,
+                    );
+                    this.log.debug(`Remote control triggered, requestSerial: ${data?.requestSerial || null}`);
+                    return data;
+                },
+                // Trigger response only carries the requestSerial
+                acceptTrigger: () => false,
+                waitForPush: (requestSerial, signal, timeoutMs) =>
+                    this.waitForMqttResult(requestSerial, vin, commandType, signal, timeoutMs),
+                poll: requestSerial => this.client.getRemoteControlResult(vin, commandType, requestSerial),
+                isReady: bydapi.isRemoteControlReady,
+                onPollError: (error, attempt) => {
+                    this.log.debug(`Poll attempt ${attempt} error: ${error.message}`);
+                },
+            });
+        } catch (error) {
+            this.recordError(vin, 'remoteControl', error);
+            if (!(error instanceof BydApiError)) {
+                this.log.error(`Remote control trigger error: ${error.message}`);
+                return { success: false, error: error.message };
+            }
 
-                if (decoded.code === '0' && decoded.respondData) {
-                    const data = bydapi.decryptResponseData(decoded.respondData, pollReq.contentKey || contentKey);
+            // Handle specific error categories
+            if (error instanceof BydPinError) {
+                this.log.error(`Remote control failed: ${error.message}`);
+                await this.handlePinError(error);
+                return { success: false, error: error.message };
+            }
 
-                    if (bydapi.isRemoteControlReady(data)) {
-                        const controlState = parseInt(data.controlState, 10);
-                        const success = controlState === 1;
-                        const statusText = success ? 'success' : 'failed';
+            if (error instanceof BydRateLimitError) {
+                if (retryCount < MAX_RATE_LIMIT_RETRIES) {
+                    this.log.warn(`Rate limited, retry ${retryCount + 1}/${MAX_RATE_LIMIT_RETRIES}`);
+                    await this.sleep(RATE_LIMIT_DELAY_MS);
+                    return this.executeRemoteControl(vin, commandType, controlParamsMap, retryCount + 1);
+                }
+                return { success: false, error: 'Rate limit exceeded' };
+            }
 
-                        this.log.info(`Remote control ${commandType}: ${statusText} (via HTTP poll)`);
-                        return {
-                            success,
-                            controlState,
-                            message: data.message || data.msg,
-                            source: 'http',
-                        };
-                    }
+            if (error instanceof BydAuthError) {
+                const renewed = await this.handleSessionExpired(error.code, 'remoteControl');
+                if (renewed && retryCount < 1) {
+                    return this.executeRemoteControl(vin, commandType, controlParamsMap, retryCount + 1);
                 }
-            } catch (error) {
-                this.log.debug(`Poll attempt ${attempt + 1} error: ${error.message}`);
+                return { success: false, error: 'Session expired' };
+            }
+
+            if (error instanceof BydOfflineError) {
+                this.log.error(`Remote control failed (1009): Vehicle offline or T-Box not responding`);
+                return { success: false, error: 'Vehicle unreachable (1009)' };
             }
+
+            const triggerError = `API error: ${error.code}`;
+            this.log.error(`Remote control failed: ${triggerError}`);
+            return { success: false, error: triggerError };
+        }
+
+        // Trigger accepted -> PIN is valid
+        if (this.config.controlPin && this.pinStatus !== 'ok') {
+            await this.setPinStatus('ok');
+        }
+
+        if (result.status === 'noSerial') {
+            this.log.warn('No requestSerial received from trigger');
+            return { success: false, error: 'No requestSerial' };
+        }
+
+        if (result.status === 'cancelled') {
+            this.log.debug(`Remote control ${commandType} cancelled (${result.reason})`);
+            return { success: false, error: `Cancelled (${result.reason})`, cancelled: true };
+        }
+
+        if (result.status !== 'ready') {
+            this.log.warn(`Remote control ${commandType}: timeout after ${result.attempts} poll attempts`);
+            return { success: false, error: 'Polling timeout', timeout: true, requestSerial: result.requestSerial };
+        }
+
+        if (result.source === 'mqtt') {
+            // Got result via MQTT - fast path!
+            this.log.info(`Remote control ${commandType}: ${result.data.success ? 'success' : 'failed'} (via MQTT)`);
+            return { ...result.data, requestSerial: result.requestSerial };
         }
 
-        this.log.warn(`Remote control ${commandType}: timeout after ${MAX_POLL_ATTEMPTS} poll attempts`);
-        return { success: false, error: 'Polling timeout' };
+        const controlState = parseInt(result.data.controlState, 10);
+        const success = controlState === 1;
+        this.log.info(`Remote control ${commandType}: ${success ? 'success' : 'failed'} (via HTTP poll)`);
+        return {
+            success,
+            controlState,
+            message: result.data.message || result.data.msg,
+            source: 'http',
+            requestSerial: result.requestSerial,
+        };
     }
 
     async onStateChange(id, state) {
@@ -1980,20 +3272,11 @@ class Byd extends utils.Adapter {
         const folder = id.split('.')[3];
         const subPath = id.split('.').slice(4).join('.');
 
-        // Mapping: status path -> { remote, transform }
-        // When status changes with ack=true, update corresponding remote state
-        // Flat structure - all fields directly under status.*
-        const statusToRemoteMap = {
-            status: { remote: 'climate', transform: v => v === 2 }, // HVAC status field
-            batteryHeatState: { remote: 'batteryHeat', transform: v => v > 0 },
-            mainSeatHeatState: { remote: 'seatHeat', transform: v => v > 0 },
-            leftFrontDoorLock: { remote: 'lock', transform: v => v === 2 },
-        };
-
         // Handle ack=true status changes -> update remote states
+        // Flat structure - all fields directly under status.*
         if (state.ack && folder === 'status') {
-            const mapping = statusToRemoteMap[subPath];
-            if (mapping) {
+            const mapping = STATUS_TO_REMOTE[subPath];
+            if (mapping && this.hasRemoteCapability(deviceId, mapping.remote)) {
                 const boolVal = mapping.transform(state.val);
                 await this.setStateAsync(`${deviceId}.remote.${mapping.remote}`, boolVal, true);
                 this.log.debug(`Status ${subPath}=${state.val} -> remote.${mapping.remote}=${boolVal}`);
@@ -2001,6 +3284,21 @@ class Byd extends utils.Adapter {
             return;
         }
 
+        // Rename vehicle - ack only after the cloud confirmed the new alias
+        if (!state.ack && folder === 'general' && subPath === 'autoAlias') {
+            const vehicle = this.vehicleArray.find(v => v.vin === deviceId);
+            const oldName = vehicle?.autoAlias ?? null;
+            const newName = typeof state.val === 'string' ? state.val.trim() : '';
+            if (!newName) {
+                this.log.warn(`Rename ignored for ${deviceId}: alias must not be empty`);
+                await this.setStateAsync(id, oldName, true);
+                return;
+            }
+            const result = await this.renameVehicle(deviceId, newName);
+            await this.setStateAsync(id, result.success ? newName : oldName, true);
+            return;
+        }
+
         // Handle ack===true for remote states (ignore)
         if (state.ack && folder === 'remote') {
             return;
@@ -2013,6 +3311,45 @@ class Byd extends utils.Adapter {
             this.log.debug(
                 `DEBUG onStateChange: id=${id}, val=${state.val}, ack=${state.ack}, ts=${state.ts}, lc=${state.lc}`,
             );
+            // Writer of the state, recorded in the audit log
+            const origin = { from: state.from, user: state.user };
+            // Toggles act on truthy/falsy values (js-controller delivers 0, 1, '' or null to boolean states too)
+            const on = !!state.val;
+            const value = command === 'rawCommand' ? state.val : on;
+
+            // Button: cancel waiting commands, then reset to false
+            if (command === 'cancelQueue') {
+                if (on) {
+                    const cancelled = this.commandQueue.cancel(deviceId, 'cancelled by user');
+                    this.log.info(`Cancelled ${cancelled} queued remote command(s) for ${deviceId}`);
+                }
+                await this.setStateAsync(id, false, true);
+                return;
+            }
+
+            // Reject commands for functions the vehicle does not have (see general.capabilities)
+            if (!this.hasRemoteCapability(deviceId, subPath)) {
+                const error = `remote.${subPath} is not supported by this vehicle (see general.capabilities)`;
+                this.log.error(`${deviceId}: ${error}`);
+                this.writeRemoteResult(deviceId, subPath, { success: false, error }, 0, {
+                    params: { value: state.val },
+                    origin,
+                });
+                return;
+            }
+
+            // Allow-list and arm/confirm for unlock, window opening and climate
+            if (this.getSafetyCategory(subPath, value)) {
+                const safety = this.checkSafety(deviceId, subPath, value, { from: state.from, user: state.user });
+                if (!safety.allowed) {
+                    if (command === 'rawCommand') {
+                        await this.setStateAsync(id, state.val, true);
+                    } else {
+                        await this.finishRemoteCommand(id, deviceId, subPath, on, { success: false });
+                    }
+                    return;
+                }
+            }
 
             if (command === 'refresh') {
                 // Ignore if value is not true (button press)
@@ -2021,13 +3358,13 @@ class Byd extends utils.Adapter {
                     return;
                 }
                 this.log.info(`Manual refresh requested for ${deviceId}`);
-                this.log.debug(`DEBUG refresh: session=${this.session ? 'exists' : 'null'}`);
-                if (!this.session) {
+                this.log.debug(`DEBUG refresh: session=${this.client.session ? 'exists' : 'null'}`);
+                if (!this.client.session) {
                     this.log.warn('No session - attempting re-login before refresh');
                     await this.login();
-                    this.log.debug(`DEBUG refresh after login: session=${this.session ? 'exists' : 'null'}`);
+                    this.log.debug(`DEBUG refresh after login: session=${this.client.session ? 'exists' : 'null'}`);
                 }
-                if (!this.session) {
+                if (!this.client.session) {
                     this.log.error('Still no session after re-login attempt');
                     return;
                 }
@@ -2039,17 +3376,13 @@ class Byd extends utils.Adapter {
 
             // Climate uses different format with commandType and controlParamsMap
             if (command === 'climate') {
-                this.log.info(`Sending climate command: ${state.val ? 'ON' : 'OFF'} for ${deviceId}`);
+                this.log.info(`Sending climate command: ${on ? 'ON' : 'OFF'} for ${deviceId}`);
 
-                if (state.val) {
-                    // Climate ON - use helper for params
-                    const controlParamsMap = bydapi.buildClimateParams({
-                        temp: 7, // 21°C (scale 1-17 = 15-31°C)
-                        copilotTemp: 7,
-                        timeSpan: 1, // 10 minutes
-                        airConditioningMode: 1,
-                    });
-                    await this.sendRemoteControl(deviceId, 'OPENAIR', controlParamsMap);
+                let result;
+                if (on) {
+                    // Climate ON - temperature, duration, recirculation and fan from remote.climateSettings
+                    const controlParamsMap = this.getClimateParams(deviceId);
+                    result = await this.sendRemoteControl(deviceId, 'OPENAIR', controlParamsMap, origin);
                 } else {
                     // Climate OFF
                     const controlParamsMap = bydapi.buildClimateParams({
@@ -2058,13 +3391,29 @@ class Byd extends utils.Adapter {
                         timeSpan: 0,
                         airConditioningMode: 0,
                     });
-                    await this.sendRemoteControl(deviceId, 'CLOSEAIR', controlParamsMap);
+                    result = await this.sendRemoteControl(deviceId, 'CLOSEAIR', controlParamsMap, origin);
                 }
+                await this.finishRemoteCommand(id, deviceId, command, on, result);
 
-                this.refreshTimeout && clearTimeout(this.refreshTimeout);
-                this.refreshTimeout = setTimeout(() => {
-                    this.updateVehicles();
-                }, 10 * 1000);
+                this.scheduleRemoteRefresh(result);
+                return;
+            }
+
+            // Climate settings are stored only, used on the next climate ON
+            if (command === 'climateSettings') {
+                const key = id.split('.')[5];
+                if (!CLIMATE_SETTINGS[key]) {
+                    return;
+                }
+                const settings = this.climateSettings[deviceId] || (this.climateSettings[deviceId] = {});
+                const checked = this.validateClimateSetting(key, state.val);
+                if (checked.error) {
+                    this.log.error(`Invalid climate setting for ${deviceId}: ${checked.error}`);
+                    await this.setStateAsync(id, settings[key] ?? CLIMATE_SETTINGS[key].def, true);
+                    return;
+                }
+                settings[key] = checked.value;
+                await this.setStateAsync(id, checked.value, true);
                 return;
             }
 
@@ -2075,14 +3424,47 @@ class Byd extends utils.Adapter {
                 const controlParamsMap = bydapi.buildSeatClimateParams({
                     mainHeat: state.val ? 3 : 0,
                     copilotHeat: state.val ? 3 : 0,
-                    steeringWheelHeat: state.val ? 1 : 0,
+                    steeringWheelHeat: state.val && this.hasCapability(deviceId, 'steeringWheelHeat') ? 1 : 0,
                 });
-                await this.sendRemoteControl(deviceId, 'VENTILATIONHEATING', controlParamsMap);
+                const result = await this.sendRemoteControl(deviceId, 'VENTILATIONHEATING', controlParamsMap, origin);
+                await this.finishRemoteCommand(id, deviceId, command, state.val, result);
+
+                this.scheduleRemoteRefresh(result);
+                return;
+            }
+
+            // Single seat / steering wheel level - other seats keep their current realtime level
+            if (command === 'seatClimate') {
+                const key = id.split('.')[5];
+                const seat = SEAT_CLIMATE[key];
+                if (!seat) {
+                    return;
+                }
+                const levels = this.getSeatClimateLevels(deviceId);
+                const previous = seat.boolean ? levels[seat.param] > 0 : levels[seat.param];
+                let level;
+                if (seat.boolean) {
+                    level = state.val ? 1 : 0;
+                } else {
+                    level = Number(state.val);
+                    if (!Number.isInteger(level) || level < 0 || level > 3) {
+                        this.log.error(`Invalid ${key} level for ${deviceId}: ${state.val} (allowed 0-3)`);
+                        await this.setStateAsync(id, previous, true);
+                        return;
+                    }
+                }
+
+                levels[seat.param] = level;
+                this.log.info(`Sending seat climate command: ${key}=${level} for ${deviceId}`);
+                const controlParamsMap = bydapi.buildSeatClimateParams(levels);
+                const result = await this.sendRemoteControl(deviceId, 'VENTILATIONHEATING', controlParamsMap, origin);
+                if (result.success && !result.dryRun) {
+                    await this.setStateAsync(id, seat.boolean ? level > 0 : level, true);
+                } else {
+                    await this.setStateAsync(id, previous, true);
+                }
 
-                this.refreshTimeout && clearTimeout(this.refreshTimeout);
-                this.refreshTimeout = setTimeout(() => {
-                    this.updateVehicles();
-                }, 10 * 1000);
+                this.scheduleRemoteRefresh(result);
                 return;
             }
 
@@ -2091,12 +3473,10 @@ class Byd extends utils.Adapter {
                 this.log.info(`Sending battery heating command: ${state.val ? 'ON' : 'OFF'} for ${deviceId}`);
 
                 const controlParamsMap = bydapi.buildBatteryHeatParams(state.val);
-                await this.sendRemoteControl(deviceId, 'BATTERYHEAT', controlParamsMap);
+                const result = await this.sendRemoteControl(deviceId, 'BATTERYHEAT', controlParamsMap, origin);
+                await this.finishRemoteCommand(id, deviceId, command, state.val, result);
 
-                this.refreshTimeout && clearTimeout(this.refreshTimeout);
-                this.refreshTimeout = setTimeout(() => {
-                    this.updateVehicles();
-                }, 10 * 1000);
+                this.scheduleRemoteRefresh(result);
                 return;
             }
 
@@ -2114,15 +3494,45 @@ class Byd extends utils.Adapter {
                 return;
             }
 
+            // Smart charging switch - ack after the cloud confirmed, reset on failure
+            if (command === 'smartCharging') {
+                const enable = !!state.val;
+                this.log.info(`Smart charging ${enable ? 'ON' : 'OFF'} for ${deviceId}`);
+                const result = await this.toggleSmartCharging(deviceId, enable);
+                await this.setStateAsync(id, result.success ? enable : !enable, true);
+                if (result.success) {
+                    await this.fetchChargingStatus(deviceId);
+                }
+                return;
+            }
+
+            // Charging schedule: targetSoc, startTime, endTime
+            if (command === 'chargingSchedule') {
+                const key = id.split('.')[5];
+                if (!['targetSoc', 'startTime', 'endTime'].includes(key)) {
+                    return;
+                }
+                await this.handleChargingScheduleChange(deviceId, id, key, state.val);
+                return;
+            }
+
             // Lock toggle: true=lock, false=unlock
             if (command === 'lock') {
-                const commandType = state.val ? 'LOCKDOOR' : 'OPENDOOR';
-                this.log.info(`Sending lock command: ${state.val ? 'LOCK' : 'UNLOCK'} for ${deviceId}`);
-                await this.sendRemoteControl(deviceId, commandType);
-                this.refreshTimeout && clearTimeout(this.refreshTimeout);
-                this.refreshTimeout = setTimeout(() => {
-                    this.updateVehicles();
-                }, 10 * 1000);
+                const commandType = on ? 'LOCKDOOR' : 'OPENDOOR';
+                this.log.info(`Sending lock command: ${on ? 'LOCK' : 'UNLOCK'} for ${deviceId}`);
+                const result = await this.sendRemoteControl(deviceId, commandType, null, origin);
+                await this.finishRemoteCommand(id, deviceId, command, on, result);
+                this.scheduleRemoteRefresh(result);
+                return;
+            }
+
+            // Raw command passthrough - acked after execution, result in remote.last*
+            if (command === 'rawCommand') {
+                const result = await this.sendRawCommand(deviceId, state.val, origin);
+                if (!result.success) {
+                    this.log.error(`Raw remote command failed: ${result.error || result.message || 'failure'}`);
+                }
+                await this.setStateAsync(id, state.val, true);
                 return;
             }
 
@@ -2141,13 +3551,11 @@ class Byd extends utils.Adapter {
 
             this.log.info(`Sending remote command: ${command} (${commandType}) for ${deviceId}`);
 
-            await this.sendRemoteControl(deviceId, commandType);
+            const result = await this.sendRemoteControl(deviceId, commandType, null, origin);
+            await this.finishRemoteCommand(id, deviceId, command, state.val, result);
 
             // Schedule refresh after command
-            this.refreshTimeout && clearTimeout(this.refreshTimeout);
-            this.refreshTimeout = setTimeout(() => {
-                this.updateVehicles();
-            }, 10 * 1000);
+            this.scheduleRemoteRefresh(result);
         }
     }
 
@@ -2158,9 +3566,18 @@ class Byd extends utils.Adapter {
     onUnload(callback) {
         try {
             this.setState('info.connection', false, true);
-            this.telemetryInterval && clearInterval(this.telemetryInterval);
-            this.gpsInterval && clearInterval(this.gpsInterval);
+            this.pollingStopped = true;
+            for (const timeout of [...Object.values(this.telemetryTimeouts), ...Object.values(this.gpsTimeouts)]) {
+                clearTimeout(timeout);
+            }
+            this.chargingInterval && clearInterval(this.chargingInterval);
             this.refreshTimeout && clearTimeout(this.refreshTimeout);
+            this.loginRetryTimeout && clearTimeout(this.loginRetryTimeout);
+            for (const timeout of Object.values(this.safetyArmTimeouts)) {
+                clearTimeout(timeout);
+            }
+            this.commandQueue.cancelAll('unload');
+            this.pollEngine.cancelAll('unload');
             if (this.mqttClient) {
                 this.mqttClient.end(true);
                 this.mqttClient = null;
@@ -27,3 +27,293 @@ describe('module to test => function to test', () => {
 });
 
 // ... more test suites => describe
+
+// Behavioural tests for main.js with a minimal stand-in for @iobroker/adapter-core (no js-controller needed)
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const sinon = require('sinon');
+
+const VIN = 'LGXCE4CB0PA000001';
+
+/**
+ * Adapter base class that keeps written states in memory
+ */
+class AdapterStub extends EventEmitter {
+    /**
+     * @param {{name: string, config?: object}} options - Adapter options
+     */
+    constructor(options) {
+        super();
+        this.namespace = `${options.name}.0`;
+        this.config = options.config || {};
+        this.log = {
+            silly: sinon.stub(),
+            debug: sinon.stub(),
+            info: sinon.stub(),
+            warn: sinon.stub(),
+            error: sinon.stub(),
+        };
+        this.states = {};
+    }
+    setState(id, val) {
+        this.states[id] = val;
+    }
+    async setStateAsync(id, val) {
+        this.setState(id, val);
+    }
+    async getStateAsync(id) {
+        return id in this.states ? { val: this.states[id] } : null;
+    }
+    async setObjectNotExistsAsync() {}
+    async extendObject() {}
+    subscribeStates() {}
+    sendTo() {}
+    encrypt(value) {
+        return `enc:${value}`;
+    }
+    decrypt(value) {
+        return value.replace(/^enc:/, '');
+    }
+}
+
+require.cache[require.resolve('@iobroker/adapter-core')] = /** @type {any} */ ({
+    id: require.resolve('@iobroker/adapter-core'),
+    loaded: true,
+    exports: { Adapter: AdapterStub },
+});
+const createAdapter = require('./main');
+const { BydAuthError, BydPinError } = require('./lib/errors');
+const { SafetyGuard } = require('./lib/safetyguard');
+
+/**
+ * Adapter instance with one vehicle and a session
+ *
+ * @param {object} [config] - Instance settings
+ * @returns {any} Adapter
+ */
+function createTestAdapter(config = {}) {
+    const adapter = /** @type {any} */ (createAdapter({ config: { username: 'user', password: 'pass', ...config } }));
+    adapter.vehicleArray = [{ vin: VIN }];
+    adapter.client.session = { userId: '1' };
+    return adapter;
+}
+
+describe('main => charging schedule', () => {
+    const id = key => `byd.0.${VIN}.remote.chargingSchedule.${key}`;
+    let adapter;
+
+    beforeEach(() => {
+        adapter = createTestAdapter();
+        adapter.chargingSchedules[VIN] = { targetSoc: 80, startTime: '22:00', endTime: '06:00' };
+        sinon.stub(adapter, 'saveChargingSchedule').resolves({ success: true });
+        sinon.stub(adapter, 'fetchChargingStatus').resolves();
+    });
+
+    it('should revert an invalid target SoC without sending it', async () => {
+        await adapter.onStateChange(id('targetSoc'), { val: 150, ack: false });
+        expect(adapter.saveChargingSchedule).to.not.have.been.called;
+        expect(adapter.states[id('targetSoc')]).to.equal(80);
+    });
+
+    it('should revert an invalid time without sending it', async () => {
+        await adapter.onStateChange(id('startTime'), { val: '25:00', ack: false });
+        expect(adapter.saveChargingSchedule).to.not.have.been.called;
+        expect(adapter.states[id('startTime')]).to.equal('22:00');
+    });
+
+    it('should revert when the cloud rejects the schedule', async () => {
+        adapter.saveChargingSchedule.resolves({ success: false, error: 'API error: 1003' });
+        await adapter.onStateChange(id('endTime'), { val: '07:30', ack: false });
+        expect(adapter.states[id('endTime')]).to.equal('06:00');
+        expect(adapter.chargingSchedules[VIN].endTime).to.equal('06:00');
+    });
+
+    it('should send the written field with the confirmed ones and ack it', async () => {
+        await adapter.onStateChange(id('endTime'), { val: '7:30', ack: false });
+        expect(adapter.saveChargingSchedule).to.have.been.calledWith(VIN, 80, 22, 0, 7, 30);
+        expect(adapter.states[id('endTime')]).to.equal('07:30');
+        expect(adapter.fetchChargingStatus).to.have.been.calledWith(VIN);
+    });
+});
+
+describe('main => login', () => {
+    let adapter;
+    let clock;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers({
+            now: new Date(2025, 0, 15, 12, 0, 0),
+            toFake: ['Date', 'setTimeout', 'clearTimeout'],
+        });
+        adapter = createTestAdapter();
+        adapter.client.session = null;
+        sinon.stub(adapter, 'storeSession').resolves();
+    });
+
+    afterEach(() => {
+        adapter.onUnload(() => {});
+        clock.restore();
+    });
+
+    it('should share one login between concurrent callers', async () => {
+        /** @type {(value?: any) => void} */
+        let finish = () => {};
+        sinon.stub(adapter.client, 'login').returns(new Promise(resolve => (finish = resolve)));
+        const first = adapter.login();
+        const second = adapter.login();
+        expect(second).to.equal(first);
+        finish();
+        await first;
+        expect(adapter.client.login).to.have.been.calledOnce;
+        expect(adapter.states['info.authState']).to.equal('authenticated');
+        expect(adapter.loginPromise).to.equal(null);
+    });
+
+    it('should not log in again during the backoff after a failure', async () => {
+        sinon.stub(adapter.client, 'login').rejects(new Error('socket hang up'));
+        await adapter.login();
+        expect(adapter.states['info.authState']).to.equal('backoff');
+        expect(adapter.loginBlockedUntil).to.equal(Date.now() + 30000);
+
+        await adapter.login();
+        expect(adapter.client.login).to.have.been.calledOnce;
+    });
+
+    it('should double the backoff per failed login', async () => {
+        sinon.stub(adapter.client, 'login').rejects(new Error('socket hang up'));
+        sinon.stub(adapter, 'initialize').resolves();
+        await adapter.login();
+        await clock.tickAsync(30000);
+        expect(adapter.client.login).to.have.been.calledTwice;
+        expect(adapter.loginBlockedUntil).to.equal(Date.now() + 60000);
+    });
+
+    it('should stop after repeated credential rejections', async () => {
+        sinon.stub(adapter.client, 'login').rejects(new BydAuthError('login', 1003, 'wrong password'));
+        for (let i = 0; i < 3; i++) {
+            adapter.loginBlockedUntil = 0;
+            await adapter.login();
+        }
+        expect(adapter.authStopped).to.equal(true);
+        expect(adapter.states['info.authState']).to.equal('stopped');
+
+        await adapter.login();
+        expect(adapter.client.login).to.have.been.calledThrice;
+    });
+});
+
+describe('main => control PIN', () => {
+    let adapter;
+
+    beforeEach(() => {
+        adapter = createTestAdapter({ controlPin: '1234' });
+        sinon.stub(adapter.client, 'remoteControl').resolves({ requestSerial: 'abc' });
+        sinon.stub(adapter.client, 'verifyControlPassword').resolves({ ok: true });
+    });
+
+    it('should not send commands after the PIN was rejected', async () => {
+        await adapter.handlePinError(new BydPinError('remoteControl', 5005, 'wrong PIN'));
+        const result = await adapter.executeRemoteControl(VIN, 'LOCKDOOR');
+        expect(result.pinBlocked).to.equal(true);
+        expect(adapter.client.remoteControl).to.not.have.been.called;
+        expect(adapter.states['info.pinStatus']).to.equal('wrong');
+    });
+
+    it('should block the PIN until midnight after a lock', async () => {
+        await adapter.handlePinError(new BydPinError('verifyControlPassword', 5006, 'locked'));
+        const midnight = new Date();
+        midnight.setHours(24, 0, 0, 0);
+        expect(adapter.pinLockedUntil).to.equal(midnight.getTime());
+
+        const result = await adapter.verifyControlPassword(VIN);
+        expect(result.pinBlocked).to.equal(true);
+        expect(adapter.client.verifyControlPassword).to.not.have.been.called;
+    });
+
+    it('should use the PIN again once the lock expired', async () => {
+        await adapter.setPinStatus('locked', Date.now() - 1);
+        const result = await adapter.verifyControlPassword(VIN);
+        expect(result.success).to.equal(true);
+        expect(adapter.client.verifyControlPassword).to.have.been.calledWith(VIN, '1234');
+        expect(adapter.states['info.pinStatus']).to.equal('ok');
+    });
+
+    it('should store a hash of the PIN, not the PIN itself', async () => {
+        await adapter.setPinStatus('wrong');
+        const stored = adapter.decrypt(adapter.states['info.pinLock']);
+        expect(stored).to.not.include('1234');
+        expect(JSON.parse(stored).pinHash).to.equal(crypto.createHash('sha256').update('1234').digest('hex'));
+    });
+
+    it('should keep a rejected PIN blocked across restarts until the PIN is changed', async () => {
+        await adapter.setPinStatus('wrong');
+        const restarted = createTestAdapter({ controlPin: '1234' });
+        restarted.states['info.pinLock'] = adapter.states['info.pinLock'];
+        await restarted.restorePinStatus();
+        expect(restarted.pinStatus).to.equal('wrong');
+
+        const changed = createTestAdapter({ controlPin: '4321' });
+        changed.states['info.pinLock'] = adapter.states['info.pinLock'];
+        await changed.restorePinStatus();
+        expect(changed.pinStatus).to.equal('unverified');
+    });
+});
+
+describe('main => safety checks', () => {
+    const lockId = `byd.0.${VIN}.remote.lock`;
+    let adapter;
+
+    beforeEach(() => {
+        adapter = createTestAdapter();
+        sinon.stub(adapter, 'sendRemoteControl').resolves({ success: true });
+        sinon.stub(adapter, 'scheduleRemoteRefresh');
+    });
+
+    afterEach(() => {
+        adapter.onUnload(() => {});
+    });
+
+    it('should reject an unlock from a source that is not allowed', async () => {
+        adapter.safetyGuard = new SafetyGuard({ allowList: ['javascript.0'] });
+        await adapter.onStateChange(lockId, { val: false, ack: false, from: 'system.adapter.mqtt.0' });
+        expect(adapter.sendRemoteControl).to.not.have.been.called;
+        expect(adapter.states[`${VIN}.remote.safety.lastRejection`]).to.include('system.adapter.mqtt.0 is not allowed');
+        expect(adapter.states[`${VIN}.remote.lastResult`]).to.equal('rejected');
+        expect(adapter.states[lockId]).to.equal(true);
+    });
+
+    it('should send a lock without checks', async () => {
+        adapter.safetyGuard = new SafetyGuard({ allowList: ['javascript.0'] });
+        await adapter.onStateChange(lockId, { val: true, ack: false, from: 'system.adapter.mqtt.0' });
+        expect(adapter.sendRemoteControl).to.have.been.calledWith(VIN, 'LOCKDOOR');
+    });
+
+    it('should arm an unlock and send it on the confirming write', async () => {
+        adapter.safetyGuard = new SafetyGuard({ confirmTimeout: 30000 });
+        const state = { val: false, ack: false, from: 'system.adapter.javascript.0' };
+        await adapter.onStateChange(lockId, state);
+        expect(adapter.sendRemoteControl).to.not.have.been.called;
+        expect(adapter.states[`${VIN}.remote.safety.armed`]).to.equal('lock');
+
+        await adapter.onStateChange(lockId, state);
+        expect(adapter.sendRemoteControl).to.have.been.calledOnceWith(VIN, 'OPENDOOR');
+        expect(adapter.states[`${VIN}.remote.safety.armed`]).to.equal('');
+    });
+
+    it('should skip the checks for a disabled category', async () => {
+        adapter.config.safetyUnlock = false;
+        adapter.safetyGuard = new SafetyGuard({ allowList: ['javascript.0'] });
+        await adapter.onStateChange(lockId, { val: false, ack: false, from: 'system.adapter.mqtt.0' });
+        expect(adapter.sendRemoteControl).to.have.been.calledWith(VIN, 'OPENDOOR');
+    });
+
+    it('should reject raw commands for an unknown vehicle before the safety check', async () => {
+        adapter.safetyGuard = new SafetyGuard({ allowList: ['javascript.0'] });
+        const sendTo = sinon.stub(adapter, 'sendTo');
+        const message = { vin: 'UNKNOWN', commandType: 'OPENDOOR' };
+        await adapter.onMessage({ command: 'rawCommand', message, from: 'system.adapter.mqtt.0', callback: {} });
+        expect(sendTo).to.have.been.calledOnce;
+        expect(sendTo.firstCall.args[2]).to.deep.equal({ success: false, error: 'Unknown vehicle UNKNOWN' });
+        expect(Object.keys(adapter.states).filter(id => id.startsWith('UNKNOWN.'))).to.be.empty;
+    });
+});